@@ -7,27 +7,93 @@
 import { LLM } from '../llm.js';
 import { Plan, Step } from '../memory.js';
 import { SearchTools } from '../tools/search.js';
+import { defaultTools } from '../tools/registry.js';
+import { MAX_PLAN_STEPS, PlanValidationError, validatePlan } from './schema.js';
+import { CITATION_INSTRUCTIONS } from './sources.js';
+import { MAX_CLAIMS } from './claims.js';
+import { parseJsonText } from '../llm.js';
+import { sectionWords } from './templates.js';
+
+export const MAX_CLARIFYING_QUESTIONS = 3;
 
 /**
  * Creates research plans by breaking down topics into actionable steps.
- * Uses Groq LLM for fast planning operations.
+ * Uses the planner LLM role for fast planning operations.
  */
 export class PlannerAgent {
-    constructor(llm) {
+    /**
+     * @param {import('../llm.js').LLM} llm
+     * @param {import('../tools/registry.js').ToolRegistry} [tools] - Tools the plan may use
+     */
+    constructor(llm, tools = defaultTools) {
         this.llm = llm;
+        this.tools = tools;
+    }
+
+    /**
+     * Pre-planning check: is the topic too ambiguous to plan well?
+     * @param {string} topic
+     * @returns {Promise<string[]>} Up to MAX_CLARIFYING_QUESTIONS questions; empty when the
+     *   topic is clear enough or the check failed
+     */
+    async clarify(topic) {
+        const prompt = `
+        SYSTEM: You are an expert Research Planner.
+        GOAL: ${topic}
+        CONTEXT: Current time is ${new Date().toISOString()}
+
+        INSTRUCTION: Before planning, decide whether this goal is too ambiguous to research well:
+        it could mean very different things, or its scope (region, period, audience, angle)
+        would change the answer a lot. Details you can reasonably assume do not count.
+        If it is ambiguous, ask 1-${MAX_CLARIFYING_QUESTIONS} short questions whose answers would focus the research.
+
+        OUTPUT FORMAT (JSON):
+        {
+            "ambiguous": true,
+            "questions": ["string"]
+        }
+        `;
+
+        const data = await this.llm.plan(prompt);
+        if (!data || data.error || data.ambiguous !== true || !Array.isArray(data.questions)) {
+            return [];
+        }
+        return data.questions
+            .filter(q => typeof q === "string" && q.trim())
+            .map(q => q.trim())
+            .slice(0, MAX_CLARIFYING_QUESTIONS);
     }
 
-    async createPlan(topic, feedback = null) {
+    /**
+     * @param {string} topic
+     * @param {Object} [options]
+     * @param {string|null} [options.feedback] - Verifier feedback from the previous attempt
+     * @param {{ question: string, answer: string|null }[]} [options.clarifications] - The user's answers to clarify()
+     * @param {(errors: string[]) => void} [options.onRepair] - Called before a repair round-trip
+     * @param {import('../tools/registry.js').ToolRegistry} [options.tools] - Tools this job may use
+     * @param {[number, number]} [options.steps] - Step range to aim for, see budget.js stepRange()
+     * @param {number} [options.maxSteps] - Hard limit the plan is validated against
+     * @throws {PlanValidationError} If the plan is still invalid after repair
+     */
+    async createPlan(topic, { feedback = null, clarifications = [], onRepair = null, tools = this.tools, steps = [3, 5], maxSteps = MAX_PLAN_STEPS } = {}) {
+        const answered = clarifications.filter(c => c.answer);
         const prompt = `
         SYSTEM: You are an expert Research Planner.
         GOAL: ${topic}
         CONTEXT: Current time is ${new Date().toISOString()}
+        CLARIFICATIONS FROM THE USER:
+        ${answered.map(c => `- Q: ${c.question} A: ${c.answer}`).join("\n        ") || "None"}
         
-        INSTRUCTION: Break this goal into 3-5 focused steps.
-        - Use 'web_search' for finding facts (KEYWORD-BASED queries)
-        - Use 'scrape_url' only with specific URLs
+        INSTRUCTION: Break this goal into ${steps[0] === steps[1] ? steps[0] : steps.join("-")} focused steps (never more than ${maxSteps}).
+        - Each step uses exactly one of the AVAILABLE TOOLS with its params
         - Keep steps focused and actionable
+        - List in 'dependencies' the step_ids whose results a step needs (e.g. an analysis step
+          depends on the searches it analyzes). Steps without dependencies run in parallel,
+          and a step only sees the results of its own dependencies.
         
+        AVAILABLE TOOLS:
+        ${tools.toPromptBlock()}
+
         FEEDBACK FROM PREVIOUS ATTEMPT: ${feedback || "None"}
         
         OUTPUT FORMAT (JSON):
@@ -46,65 +112,82 @@ export class PlannerAgent {
         }
         `;
 
-        // Use Groq for fast planning
-        const data = await this.llm.plan(prompt);
-        if (data.error) {
-            throw new Error(data.error);
+        // Planner role (Groq by default) for fast planning
+        let data = await this.llm.plan(prompt);
+        let errors = validatePlan(data, tools, maxSteps);
+
+        // One repair round-trip: show the planner its output and what is wrong with it
+        if (errors.length > 0) {
+            if (onRepair) await onRepair(errors);
+
+            const repairPrompt = `${prompt}
+        YOUR PREVIOUS OUTPUT:
+        ${data?.error ? "(not valid JSON)" : JSON.stringify(data)}
+
+        IT FAILED VALIDATION:
+        ${errors.map(e => `- ${e}`).join('\n        ')}
+
+        Return the corrected plan as JSON in the same OUTPUT FORMAT.
+        `;
+            data = await this.llm.plan(repairPrompt);
+            errors = validatePlan(data, tools, maxSteps);
+        }
+
+        if (errors.length > 0) {
+            throw new PlanValidationError(errors);
         }
         return new Plan(data);
     }
 }
 
 export class ExecutorAgent {
-    constructor(llm) {
+    /**
+     * @param {import('../llm.js').LLM} llm
+     * @param {typeof SearchTools} [search] - Search backend; swap in a fake for offline runs
+     * @param {import('../tools/registry.js').ToolRegistry} [tools] - Tools steps are dispatched to
+     */
+    constructor(llm, search = SearchTools, tools = defaultTools) {
         this.llm = llm;
+        this.search = search;
+        this.tools = tools;
     }
 
-    async executeStep(step, context) {
-        if (step.tool === "web_search") {
-            const query = step.params.query;
-            return await SearchTools.webSearch(query);
-        } else if (step.tool === "scrape_url") {
-            const url = step.params.url;
-            const rawContent = await SearchTools.scrapeUrl(url);
-
-            const analysisPrompt = `
-            SYSTEM: Extract specific information from this content.
-            TASK: ${step.description}
-            SOURCE: ${rawContent.substring(0, 12000)} 
-            
-            Extract key facts with sources. Output NOT_FOUND if unavailable.
-            `;
-            // Use Groq for fast extraction
-            return await this.llm.execute(analysisPrompt);
-        } else if (step.tool === "analyze_content" || step.tool === "deep_analyze") {
-            return await this.performAnalysis(step, context);
+    /**
+     * @param {import('../memory.js').Step} step
+     * @param {string} context - JSON of the dependency results
+     * @param {Object} [resources] - Per-job resources for tool handlers, e.g. `{ corpus, log, search }`
+     */
+    async executeStep(step, context, resources = {}) {
+        const tool = this.tools.get(step.tool);
+        if (!tool) {
+            return "Unknown tool";
         }
-        return "Unknown tool";
-    }
-
-    async performAnalysis(step, context) {
-        const analysisPrompt = `
-        SYSTEM: Expert Research Analyst.
-        TASK: ${step.description}
-        
-        CONTEXT: ${context}
-        
-        Provide evidence-backed analysis with specific data points.
-        Be comprehensive but concise.
-        `;
-
-        // Use Groq for fast analysis
-        return await this.llm.execute(analysisPrompt);
+        return await tool.handler(step.params, {
+            corpus: null,
+            log: async () => {},
+            search: this.search,
+            ...resources,
+            step,
+            context,
+            llm: this.llm
+        });
     }
 }
 
+/**
+ * Grades research and report drafts. Never writes report text itself;
+ * that is ReportGenerator's job.
+ */
 export class VerifierAgent {
     constructor(llm) {
         this.llm = llm;
     }
 
-    async verify(topic, plan, findings) {
+    /**
+     * Decides whether the findings are good enough to write a report from.
+     * @returns {Promise<{ status: string, quality_score?: number, feedback?: string }>}
+     */
+    async verify(topic, plan, findings, sources) {
         const findingsStr = JSON.stringify(findings, null, 2);
 
         const prompt = `
@@ -115,6 +198,9 @@ export class VerifierAgent {
         FINDINGS:
         ${findingsStr}
         
+        SOURCES:
+        ${sources.toPromptBlock()}
+        
         VERIFICATION:
         1. Does the research answer the goal?
         2. Are there specific facts and data?
@@ -127,12 +213,11 @@ export class VerifierAgent {
         {
             "status": "pass",
             "quality_score": 75,
-            "feedback": "string if not pass",
-            "final_report": "Comprehensive markdown report if pass"
+            "feedback": "string if not pass"
         }
         `;
 
-        // Use Gemini for thorough verification (falls back to Groq if unavailable)
+        // Verifier role (Gemini with Groq fallback by default)
         const result = await this.llm.verify(prompt);
 
         if (result.status !== "pass" && !result.feedback) {
@@ -141,33 +226,198 @@ export class VerifierAgent {
 
         return result;
     }
+
+    /**
+     * Reviews a report draft: scores it, lists what a revision should fix,
+     * and checks each factual claim against the text collected for the sources.
+     * @param {string} topic
+     * @param {string} report - Draft with inline [n] citations
+     * @param {string} evidence - Source texts, see claims.js evidenceBlock()
+     * @returns {Promise<{ status?: string, quality_score?: number, issues?: string[],
+     *   claims?: Object[], error?: string }>} Raw review; claims go through claims.js normalizeClaims()
+     */
+    async reviewDraft(topic, report, evidence) {
+        const prompt = `
+        SYSTEM: Fact Checker and Editor for research reports.
+
+        TOPIC: ${topic}
+
+        DRAFT REPORT:
+        ${report}
+
+        SOURCE TEXTS:
+        ${evidence}
+
+        TASK:
+        1. Extract the individual factual claims of the DRAFT REPORT (figures, dates, names,
+           causal statements) - at most ${MAX_CLAIMS}, most important first. Skip opinions,
+           recommendations and headings.
+        2. Copy each claim EXACTLY as it appears in the draft (one sentence or clause,
+           character for character, without its [n] citations) so it can be located.
+        3. Check each claim against the SOURCE TEXTS only, not your own knowledge:
+           - supported: a source states it
+           - contradicted: a source states otherwise
+           - unsupported: no source says it either way
+        4. For supported and contradicted claims give the source numbers and a short quote.
+        5. Score the draft 0-100 for accuracy, coverage of the TOPIC and clarity, and list
+           concrete issues a revision should fix (missing citations, gaps, repetition).
+           Status is "pass" when the draft can be published as is, otherwise "revise".
+
+        OUTPUT (JSON):
+        {
+            "status": "pass",
+            "quality_score": 80,
+            "issues": ["string"],
+            "claims": [
+                { "claim": "string", "status": "supported", "source_ids": [1], "evidence": "short quote" }
+            ]
+        }
+        `;
+
+        // Verifier role: same provider that judged the research
+        return await this.llm.verify(prompt);
+    }
 }
 
+/**
+ * Writes reports in stages: outline, one draft per section from the findings
+ * that section cites, and a revision addressing the verifier's review. The
+ * report template fixes the sections, length budget and tone.
+ */
 export class ReportGenerator {
     constructor(llm) {
         this.llm = llm;
     }
 
-    async generate(topic, findings) {
+    /**
+     * Plans what each of the template's sections says and which findings it draws on.
+     * @param {import('./templates.js').ReportTemplate} template
+     * @returns {Promise<{ title: string, sections: { title: string, guidance: string, words: number,
+     *   points: string[], steps: string[] }[] }>}
+     */
+    async outline(topic, findings, sources, template) {
         const prompt = `
-        SYSTEM: Expert report writer. Create a professional research report.
-        
+        SYSTEM: Expert report writer. Outline a ${template.name}.
+
         TOPIC: ${topic}
-        
-        DATA:
+
+        FINDINGS (by step_id):
         ${JSON.stringify(findings, null, 2)}
-        
-        Generate a comprehensive markdown report:
-        - Executive Summary
-        - Key Findings (with data)
-        - Analysis
-        - Recommendations
-        - Conclusion
-        
-        Use the actual data. Be specific and professional.
+
+        SOURCES:
+        ${sources.toPromptBlock()}
+
+        SECTIONS (use exactly these, in this order):
+        ${template.sections.map(s => `- ${s.title}${s.guidance ? `: ${s.guidance}` : ""}`).join("\n        ")}
+
+        For each section give the key points it must make and the step_ids of the FINDINGS
+        it draws on.
+
+        OUTPUT (JSON only):
+        {
+            "title": "string",
+            "sections": [
+                { "title": "${template.sections[0].title}", "points": ["string"], "steps": ["step_1"] }
+            ]
+        }
+        `;
+
+        // Reporter role for high-quality synthesis
+        const raw = await this.llm.synthesize(prompt);
+        let data;
+        try {
+            data = parseJsonText(raw);
+        } catch {
+            data = null;
+        }
+
+        // The template decides the sections; the outline only fills them in
+        const planned = Array.isArray(data?.sections) ? data.sections.filter(s => s && typeof s === "object") : [];
+        const sections = template.sections.map((section, i) => {
+            const match = planned.find(p => typeof p.title === "string" && p.title.trim().toLowerCase() === section.title.toLowerCase())
+                || planned[i] || {};
+            return {
+                title: section.title,
+                guidance: section.guidance || "",
+                words: sectionWords(template, section),
+                points: Array.isArray(match.points) ? match.points.filter(p => typeof p === "string") : [],
+                steps: Array.isArray(match.steps) ? match.steps.filter(id => id in findings) : []
+            };
+        });
+        return {
+            title: typeof data?.title === "string" && data.title.trim() ? data.title.trim() : topic,
+            sections
+        };
+    }
+
+    /**
+     * Drafts one section from the findings it cites (all findings when it cites none).
+     * @param {import('./templates.js').ReportTemplate} template
+     * @param {{ onChunk: (delta: string) => void }} [reportStream]
+     */
+    async draftSection(topic, section, outline, findings, sources, template, reportStream = null) {
+        const cited = section.steps.length > 0
+            ? Object.fromEntries(section.steps.map(id => [id, findings[id]]))
+            : findings;
+
+        const prompt = `
+        SYSTEM: Expert report writer. Write ONE section of a ${template.name}.
+
+        REPORT: ${outline.title}
+        TOPIC: ${topic}
+        ALL SECTIONS: ${outline.sections.map(s => s.title).join(" | ")}
+        TONE: ${template.tone}
+
+        THIS SECTION: ${section.title}${section.guidance ? ` - ${section.guidance}` : ""}
+        LENGTH: about ${section.words} words
+        KEY POINTS:
+        ${section.points.map(p => `- ${p}`).join("\n        ") || "- (cover what the findings support)"}
+
+        FINDINGS:
+        ${JSON.stringify(cited, null, 2)}
+
+        SOURCES:
+        ${sources.toPromptBlock()}
+
+        Write the section body in markdown, without its heading. Use the actual data and be
+        specific; leave topics of the other sections to them. Use ### for any sub-headings.
+        ${CITATION_INSTRUCTIONS}
+        `;
+
+        return await this.llm.synthesize(prompt, reportStream);
+    }
+
+    /**
+     * Rewrites a draft to address the verifier's review.
+     * @param {string[]} issues - Editor issues plus one line per unsupported/contradicted claim
+     * @param {import('./templates.js').ReportTemplate} template
+     */
+    async revise(topic, draft, issues, evidence, sources, template, reportStream = null) {
+        const prompt = `
+        SYSTEM: Expert report writer. Revise a ${template.name} draft.
+
+        TOPIC: ${topic}
+        TONE: ${template.tone}
+        LENGTH: about ${template.words} words
+
+        DRAFT:
+        ${draft}
+
+        REVIEW - fix every point:
+        ${issues.map(i => `- ${i}`).join("\n        ")}
+
+        SOURCE TEXTS:
+        ${evidence}
+
+        SOURCES:
+        ${sources.toPromptBlock()}
+
+        Return the complete revised report in markdown. Correct contradicted claims to match
+        the sources, and rephrase or drop claims no source supports. Keep the title, the
+        section headings and everything that was fine.
+        ${CITATION_INSTRUCTIONS}
         `;
 
-        // Use Gemini for high-quality synthesis
-        return await this.llm.synthesize(prompt);
+        return await this.llm.synthesize(prompt, reportStream);
     }
 }
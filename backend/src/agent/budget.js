@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Research depth presets and per-job budgets.
+ * A job picks a depth (quick, standard or deep) that sets how many steps
+ * the planner aims for, how many research attempts it gets and default
+ * limits on plan steps, search calls, LLM tokens and wall-clock time; each
+ * limit can be overridden per job. The controller checks the limits between
+ * steps and, once one is spent, stops researching and writes a partial
+ * report from what it has.
+ * @module agent/budget
+ */
+
+import { MAX_PLAN_STEPS } from './schema.js';
+import { SearchResponse } from '../tools/results.js';
+import { summarizeUsage } from '../usage.js';
+
+export const DEFAULT_DEPTH = "standard";
+
+/**
+ * `steps` is the range the planner is asked for; `attempts` the number of
+ * plan-execute-verify rounds. The rest are default limits.
+ */
+export const DEPTHS = {
+    quick: { steps: [2, 3], attempts: 1, max_steps: 3, max_searches: 10, max_tokens: 100000, max_minutes: 5 },
+    standard: { steps: [3, 5], attempts: 2, max_steps: MAX_PLAN_STEPS, max_searches: 40, max_tokens: 400000, max_minutes: 20 },
+    deep: { steps: [5, 8], attempts: 3, max_steps: MAX_PLAN_STEPS, max_searches: 100, max_tokens: 1000000, max_minutes: 45 }
+};
+
+const LIMITS = ["max_steps", "max_searches", "max_tokens", "max_minutes"];
+
+/**
+ * @typedef {Object} JobBudget
+ * @property {'quick'|'standard'|'deep'} depth
+ * @property {number} attempts
+ * @property {number} max_steps
+ * @property {number} max_searches
+ * @property {number} max_tokens - Prompt plus completion tokens over every LLM call of the job
+ * @property {number} max_minutes
+ * @property {string|null} deadline - ISO time the research must stop by; set when research starts
+ */
+
+/**
+ * Builds a job's budget from its depth and any per-job overrides.
+ * @param {Object} [options] - `depth` plus optional `max_steps`, `max_searches`, `max_tokens`, `max_minutes`
+ * @returns {{ budget: JobBudget } | { error: string }}
+ */
+export function resolveBudget({ depth = DEFAULT_DEPTH, ...overrides } = {}) {
+    const preset = DEPTHS[depth];
+    if (!preset) {
+        return { error: `Unknown depth: ${depth} (expected ${Object.keys(DEPTHS).join(", ")})` };
+    }
+
+    const budget = { depth, attempts: preset.attempts, deadline: null };
+    for (const key of LIMITS) {
+        const value = overrides[key];
+        if (value === undefined || value === null || value === "") {
+            budget[key] = preset[key];
+            continue;
+        }
+        const number = Number(value);
+        // Minutes may be fractional; counts may not
+        if (!(number > 0) || (key !== "max_minutes" && !Number.isInteger(number))) {
+            return { error: `${key} must be a positive ${key === "max_minutes" ? "number" : "integer"}` };
+        }
+        budget[key] = number;
+    }
+    if (budget.max_steps > MAX_PLAN_STEPS) {
+        return { error: `max_steps cannot exceed ${MAX_PLAN_STEPS}` };
+    }
+    return { budget };
+}
+
+/**
+ * Step range the planner is asked for, capped by the budget's max_steps.
+ * @returns {[number, number]}
+ */
+export function stepRange(budget) {
+    const [min, max] = DEPTHS[budget.depth].steps;
+    const upper = Math.min(max, budget.max_steps);
+    return [Math.min(min, upper), upper];
+}
+
+/**
+ * What the job has spent so far.
+ * @param {import('../memory.js').JobState} job
+ */
+export function budgetUsed(job) {
+    const { prompt_tokens, completion_tokens } = summarizeUsage(job.usage).total;
+    return { searches: job.search_calls, tokens: prompt_tokens + completion_tokens };
+}
+
+/**
+ * @param {import('../memory.js').JobState} job
+ * @returns {string|null} The limit the job has reached, or null while it is within budget
+ */
+export function exhaustedBudget(job) {
+    const { budget } = job;
+    const used = budgetUsed(job);
+    if (used.searches >= budget.max_searches) {
+        return `search budget spent (${used.searches}/${budget.max_searches} searches)`;
+    }
+    if (used.tokens >= budget.max_tokens) {
+        return `token budget spent (${used.tokens}/${budget.max_tokens} tokens)`;
+    }
+    if (budget.deadline && Date.now() >= Date.parse(budget.deadline)) {
+        return `deadline reached (${budget.max_minutes} min)`;
+    }
+    return null;
+}
+
+/**
+ * Wraps a search backend so every webSearch call counts against the job's
+ * search budget. Once it is spent, searches fail with a SearchError instead
+ * of reaching a provider, so steps already running wind down on their own.
+ * @param {typeof import('../tools/search.js').SearchTools} search
+ * @param {import('../memory.js').JobState} job
+ */
+export function meteredSearch(search, job) {
+    return {
+        webSearch: async (query, ...args) => {
+            if (job.search_calls >= job.budget.max_searches) {
+                return new SearchResponse({
+                    query,
+                    errors: [{ provider: "budget", message: `Search budget of ${job.budget.max_searches} calls spent` }]
+                });
+            }
+            job.search_calls++;
+            return search.webSearch(query, ...args);
+        },
+        scrapeUrl: (...args) => search.scrapeUrl(...args)
+    };
+}
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Claim-level verification support.
+ * Gathers the text collected for each source, normalizes the verifier's
+ * claim judgements and applies them to the draft: unsupported and
+ * contradicted claims are flagged inline or removed before the report is
+ * published.
+ * @module agent/claims
+ */
+
+export const CLAIM_STATUSES = ["supported", "contradicted", "unsupported"];
+
+// Most claims checked per report; the rest are left out of the table
+export const MAX_CLAIMS = Number(process.env.MAX_CLAIMS) || 25;
+
+const EVIDENCE_PER_SOURCE = 1500;
+const EVIDENCE_TOTAL = 40000;
+
+/**
+ * @typedef {Object} Claim
+ * @property {string} claim - Sentence as it appears in the draft
+ * @property {'supported'|'contradicted'|'unsupported'} status
+ * @property {number[]} source_ids - Sources that back (or contradict) the claim
+ * @property {string} evidence - Short quote from the source text
+ * @property {'kept'|'flagged'|'removed'} action - What happened to it in the report
+ */
+
+/**
+ * Everything the job read per source: search snippets, facts extracted from
+ * scraped pages and scrape_url results, as `[n] title` blocks for prompts.
+ * @param {import('../memory.js').Plan} plan
+ * @param {import('./sources.js').SourceRegistry} registry
+ */
+export function evidenceBlock(plan, registry) {
+    const texts = new Map(registry.sources.map(s => [s.id, s.snippet ? [s.snippet] : []]));
+    const add = (id, text) => {
+        if (id && texts.has(id) && typeof text === "string" && text) texts.get(id).push(text);
+    };
+
+    for (const step of plan?.steps || []) {
+        if (typeof step.result === "string") add(step.source_id, step.result);
+        (step.result?.pages || []).forEach(page => add(page.source_id, page.facts));
+    }
+
+    let block = "";
+    for (const source of registry.sources) {
+        const text = [...new Set(texts.get(source.id))].join("\n").substring(0, EVIDENCE_PER_SOURCE);
+        const entry = `[${source.id}] ${source.title} (${source.url})\n${text || "(no text)"}\n\n`;
+        if (block.length + entry.length > EVIDENCE_TOTAL) break;
+        block += entry;
+    }
+    return block.trim() || "None";
+}
+
+/**
+ * Cleans the verifier's raw claim list: known statuses only, source IDs
+ * that exist, and claims that actually occur in the draft.
+ * @returns {Claim[]}
+ */
+export function normalizeClaims(raw, report, registry) {
+    const claims = Array.isArray(raw?.claims) ? raw.claims : [];
+    return claims
+        .filter(c => typeof c?.claim === "string" && c.claim.trim() && report.includes(c.claim.trim()))
+        .slice(0, MAX_CLAIMS)
+        .map(c => ({
+            claim: c.claim.trim(),
+            status: CLAIM_STATUSES.includes(c.status) ? c.status : "unsupported",
+            source_ids: (Array.isArray(c.source_ids) ? c.source_ids : []).map(Number).filter(id => registry.get(id)),
+            evidence: typeof c.evidence === "string" ? c.evidence.substring(0, 300) : "",
+            action: "kept"
+        }))
+        // A claim is only "supported" when it names a source that backs it
+        .map(c => c.status === "supported" && c.source_ids.length === 0 ? { ...c, status: "unsupported" } : c);
+}
+
+/**
+ * Applies claim judgements to the report.
+ * - "flag": unsupported claims get an inline *(unsupported)* marker,
+ *   contradicted ones *(contradicted by [n])*
+ * - "remove": both are cut from the report
+ * Supported claims are left alone.
+ * @param {string} report
+ * @param {Claim[]} claims - Updated in place with the action taken
+ * @param {'flag'|'remove'} mode
+ * @returns {string}
+ */
+export function applyClaims(report, claims, mode = "flag") {
+    let text = report;
+    for (const claim of claims) {
+        if (claim.status === "supported") continue;
+        // The claim plus the citations and punctuation that close it
+        const pattern = new RegExp(`${claim.claim.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}((?:\\s*\\[\\d+\\])*)([.;!?]?)`);
+        if (!pattern.test(text)) continue;
+
+        if (mode === "remove") {
+            text = text.replace(pattern, "");
+            claim.action = "removed";
+        } else {
+            const marker = claim.status === "contradicted"
+                ? ` *(contradicted${claim.source_ids.length ? ` by ${claim.source_ids.map(id => `[${id}]`).join("")}` : ""})*`
+                : " *(unsupported)*";
+            text = text.replace(pattern, (match, citations, end) => `${claim.claim}${citations}${marker}${end}`);
+            claim.action = "flagged";
+        }
+    }
+    // Tidy what removals leave behind: doubled and trailing spaces, empty bullets
+    return mode === "remove"
+        ? text.replace(/(\S)[ \t]{2,}/g, "$1 ").replace(/[ \t]+$/gm, "")
+            .replace(/^[ \t]*[-*][ \t]*$\n?/gm, "").replace(/\n{3,}/g, "\n\n")
+        : text;
+}
+
+/**
+ * Counts per status, plus whether the published report is fully verified:
+ * claims were checked and none of them is left unsupported or contradicted.
+ */
+export function summarizeClaims(claims) {
+    const counts = Object.fromEntries(CLAIM_STATUSES.map(s => [s, claims.filter(c => c.status === s).length]));
+    const open = claims.filter(c => c.status !== "supported" && c.action !== "removed").length;
+    return { ...counts, checked: claims.length, verified: claims.length > 0 && open === 0 };
+}
@@ -6,35 +6,120 @@
 
 import { LLM } from '../llm.js';
 import { PlannerAgent, ExecutorAgent, VerifierAgent, ReportGenerator } from './agents.js';
-import { JobState, LogEntry } from '../memory.js';
+import { runSteps } from './scheduler.js';
+import { PlanValidationError, validatePlan } from './schema.js';
+import { SourceRegistry, applyCitations } from './sources.js';
+import { evidenceBlock, normalizeClaims, applyClaims, summarizeClaims } from './claims.js';
+import { JobState, LogEntry, Plan } from '../memory.js';
+import { createStore } from '../store.js';
+import { SearchTools } from '../tools/search.js';
+import { defaultTools } from '../tools/registry.js';
+import { CorpusLibrary } from '../tools/corpus.js';
+import { TemplateLibrary, DEFAULT_TEMPLATE } from './templates.js';
+import { resolveBudget, stepRange, exhaustedBudget, meteredSearch } from './budget.js';
+import { usageScope, summarizeUsage } from '../usage.js';
+import { fetchScope } from '../tools/fetcher.js';
 import { v4 as uuidv4 } from 'uuid';
 
+/** Statuses that mean a job was still running when it was last saved. */
+const ACTIVE_STATUSES = ["queued", "awaiting_answers", "planning", "awaiting_approval", "executing", "verifying", "writing", "paused"];
+
+/** Short log description of a step result (search responses or extracted text). */
+function describeResult(result) {
+    if (typeof result === "string") {
+        return `${result.length} chars`;
+    }
+    if (result.results.length === 0) {
+        return `no results${result.errors.length ? `, ${result.errors.length} provider error(s)` : ""}`;
+    }
+    const pages = result.pages?.length ? `, ${result.pages.length} page(s) read` : "";
+    return `${result.results.length} results from ${result.provider}${pages}`;
+}
+
+/** Thrown from a checkpoint to unwind runJob after a cancel request. */
+class JobCancelledError extends Error {
+    constructor() {
+        super("Job cancelled");
+        this.name = "JobCancelledError";
+    }
+}
+
+/** Thrown from a budget check to stop researching once a job's budget is spent. */
+class BudgetExhaustedError extends Error {
+    constructor(reason) {
+        super(`Budget exhausted: ${reason}`);
+        this.name = "BudgetExhaustedError";
+        this.reason = reason;
+    }
+}
+
 /**
  * Controller class that manages research jobs and coordinates agents.
  * Implements SSE event streaming for real-time progress updates.
  */
 export class Controller {
-    constructor() {
+    /**
+     * @param {Object} [deps] - Injectable dependencies; defaults hit the real services
+     * @param {Object} [deps.store] - Job store (see store.js)
+     * @param {LLM} [deps.llm] - Anything exposing plan/execute/verify/synthesize/label
+     * @param {typeof SearchTools} [deps.search] - Anything exposing webSearch/scrapeUrl
+     * @param {import('../tools/registry.js').ToolRegistry} [deps.tools] - Tools plans may use
+     * @param {CorpusLibrary} [deps.corpora] - Local document corpora jobs can attach
+     * @param {TemplateLibrary} [deps.templates] - Report templates jobs can pick
+     */
+    constructor({ store = createStore(), llm = new LLM(), search = SearchTools, tools = defaultTools,
+        corpora = new CorpusLibrary(), templates = new TemplateLibrary() } = {}) {
         this.jobs = {};
-        this.llm = new LLM();  // Hybrid LLM
-        this.planner = new PlannerAgent(this.llm);
-        this.executor = new ExecutorAgent(this.llm);
+        this.store = store;
+        this.llm = llm;  // Role-routed LLM providers
+        this.search = search;
+        this.tools = tools;
+        this.corpora = corpora;
+        this.templates = templates;
+        this.planner = new PlannerAgent(this.llm, this.tools);
+        this.executor = new ExecutorAgent(this.llm, this.search, this.tools);
         this.verifier = new VerifierAgent(this.llm);
         this.reporter = new ReportGenerator(this.llm);
         this.eventSubscribers = {};
+        this.controls = {};  // Per-job cancel/pause requests
 
         this.config = {
-            maxRetries: 2,
-            delayBetweenSteps: 1000
+            // Independent steps run in parallel; LLM/search throttles still apply per provider
+            maxConcurrentSteps: Number(process.env.MAX_CONCURRENT_STEPS) || 3,
+            // What happens to unsupported/contradicted claims: "flag", "remove", or "off" to skip the check
+            claimCheck: process.env.CLAIM_CHECK || "flag",
+            // How long a job waits for answers to clarifying questions before planning without them
+            clarifyTimeoutMs: (Number(process.env.CLARIFY_TIMEOUT) || 300) * 1000,
+            // How long a plan waits for review before it is approved as proposed
+            planApprovalTimeoutMs: (Number(process.env.PLAN_APPROVAL_TIMEOUT) || 120) * 1000
         };
     }
 
-    createJob(topic) {
+    /**
+     * @param {string} topic
+     * @param {Object} [options]
+     * @param {string|null} [options.corpus] - ID of a document corpus to research alongside the web
+     * @param {string} [options.template] - ID of the report template to write with
+     * @param {import('./budget.js').JobBudget} [options.budget] - Depth and limits, see budget.js resolveBudget()
+     * @param {boolean} [options.clarify] - Ask clarifying questions about a vague topic before planning
+     * @param {boolean} [options.reviewPlan] - Wait for each plan to be approved (or edited) before executing it
+     *   Both human-in-the-loop stages are off unless asked for, so scripted jobs run unattended.
+     */
+    createJob(topic, { corpus = null, template = DEFAULT_TEMPLATE, budget = resolveBudget().budget, clarify = false, reviewPlan = false } = {}) {
         const jobId = uuidv4();
-        const job = new JobState({ job_id: jobId, topic });
+        const job = new JobState({ job_id: jobId, topic, corpus, template, clarify, review_plan: reviewPlan });
+        job.budget = budget;
         this.jobs[jobId] = job;
         this.eventSubscribers[jobId] = [];
-        this.runJob(jobId);
+        this.controls[jobId] = { cancelRequested: false, pauseRequested: false, paused: null, resume: null, answer: null, approve: null };
+        this.persist(jobId);
+        // Every LLM call, blocked fetch and cache hit made while the job runs is attributed to it
+        const fetchEvents = {
+            onBlocked: (url, reason) => this.log(jobId, `🚫 Blocked fetch of ${url}: ${reason}`, "warning"),
+            onCacheHit: (kind, label, detail) => this.log(jobId, `💾 Cache hit for ${kind} "${label}" (${detail})`)
+        };
+        usageScope.run({ onUsage: (record) => this.recordUsage(jobId, record) }, () =>
+            fetchScope.run(fetchEvents, () => this.runJob(jobId)));
         return jobId;
     }
 
@@ -42,6 +127,77 @@ export class Controller {
         return this.jobs[jobId];
     }
 
+    /**
+     * Lists jobs newest-first with optional filters.
+     * @param {Object} query
+     * @param {string[]} [query.statuses] - Only jobs in one of these statuses
+     * @param {string} [query.search] - Whitespace-separated terms that must all appear in the topic
+     * @param {Date} [query.from] - Created at or after
+     * @param {Date} [query.to] - Created at or before
+     * @param {number} [query.limit=20]
+     * @param {number} [query.offset=0]
+     * @returns {{ total: number, jobs: Object[] }}
+     */
+    listJobs({ statuses = [], search = '', from = null, to = null, limit = 20, offset = 0 } = {}) {
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const matches = Object.values(this.jobs)
+            .filter(job => statuses.length === 0 || statuses.includes(job.status))
+            .filter(job => {
+                const topic = job.topic.toLowerCase();
+                return terms.every(term => topic.includes(term));
+            })
+            .filter(job => {
+                const created = new Date(job.created_at);
+                return (!from || created >= from) && (!to || created <= to);
+            })
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+        return {
+            total: matches.length,
+            jobs: matches.slice(offset, offset + limit).map(job => ({
+                job_id: job.job_id,
+                topic: job.topic,
+                status: job.status,
+                created_at: job.created_at,
+                has_report: Boolean(job.final_report)
+            }))
+        };
+    }
+
+    /**
+     * Rehydrates persisted jobs. Jobs that were mid-run when the process
+     * died cannot be resumed, so they come back marked as interrupted.
+     */
+    async restore() {
+        const records = await this.store.loadAll();
+        for (const record of records) {
+            const job = JobState.fromJSON(record);
+            this.jobs[job.job_id] = job;
+            this.eventSubscribers[job.job_id] = [];
+
+            if (ACTIVE_STATUSES.includes(job.status)) {
+                job.status = "interrupted";
+                await this.log(job.job_id, "⛔ Interrupted by a server restart", "error");
+            }
+        }
+        console.log(`✓ Restored ${records.length} job(s) from store`);
+    }
+
+    async persist(jobId) {
+        const job = this.jobs[jobId];
+        if (job) {
+            await this.store.save(job);
+        }
+    }
+
+    async setStatus(jobId, status) {
+        const job = this.jobs[jobId];
+        job.status = status;
+        this.notifySubscribers(jobId, 'status', { status });
+        await this.persist(jobId);
+    }
+
     async log(jobId, message, level = "info") {
         const job = this.jobs[jobId];
         if (job) {
@@ -52,6 +208,7 @@ export class Controller {
             });
             job.logs.push(entry);
             this.notifySubscribers(jobId, 'log', entry);
+            await this.persist(jobId);
         }
     }
 
@@ -61,6 +218,362 @@ export class Controller {
         }
     }
 
+    /**
+     * Requests cancellation. The running job stops at its next checkpoint;
+     * a paused job is woken up so it can unwind immediately.
+     * @returns {{ status: string } | { error: string }}
+     */
+    async cancelJob(jobId) {
+        const job = this.jobs[jobId];
+        const control = this.controls[jobId];
+        if (!control || !ACTIVE_STATUSES.includes(job.status)) {
+            return { error: `Job is not running (status: ${job.status})` };
+        }
+        if (!control.cancelRequested) {
+            control.cancelRequested = true;
+            await this.log(jobId, "🛑 Cancellation requested", "warning");
+        }
+        control.resume?.();
+        control.answer?.(null);
+        control.approve?.(null);
+        return { status: job.status };
+    }
+
+    /**
+     * Requests a pause. Takes effect at the next checkpoint so in-flight
+     * LLM and search calls are never abandoned half way.
+     * @returns {{ status: string } | { error: string }}
+     */
+    async pauseJob(jobId) {
+        const job = this.jobs[jobId];
+        const control = this.controls[jobId];
+        if (!control || !ACTIVE_STATUSES.includes(job.status) || control.cancelRequested) {
+            return { error: `Job is not running (status: ${job.status})` };
+        }
+        if (!control.pauseRequested) {
+            control.pauseRequested = true;
+            await this.log(jobId, "⏸️ Pause requested - pausing after the current step", "warning");
+        }
+        return { status: job.status };
+    }
+
+    /**
+     * @returns {{ status: string } | { error: string }}
+     */
+    async resumeJob(jobId) {
+        const job = this.jobs[jobId];
+        const control = this.controls[jobId];
+        if (!control || !control.pauseRequested) {
+            return { error: `Job is not paused (status: ${job.status})` };
+        }
+        control.pauseRequested = false;
+        control.resume?.();
+        return { status: job.status };
+    }
+
+    /**
+     * Hands the user's answers to a job waiting for them in the clarification stage.
+     * @param {string[]} answers - One per question, in order; blank leaves a question unanswered
+     * @returns {{ status: string } | { error: string }}
+     */
+    answerQuestions(jobId, answers) {
+        const job = this.jobs[jobId];
+        const control = this.controls[jobId];
+        if (!control?.answer) {
+            return { error: `Job is not waiting for answers (status: ${job.status})` };
+        }
+        control.answer(answers);
+        return { status: job.status };
+    }
+
+    /**
+     * Approves the plan of a job waiting for review, with the reviewer's edits.
+     * The plan is validated like planner output before it replaces the proposal.
+     * @param {Object} data - `{ reasoning?, steps }` in the planner's output format
+     * @returns {{ status: string } | { error: string, errors?: string[] }} `errors` lists validation problems
+     */
+    approvePlan(jobId, data) {
+        const job = this.jobs[jobId];
+        const control = this.controls[jobId];
+        if (!control?.approve) {
+            return { error: `Job is not waiting for plan approval (status: ${job.status})` };
+        }
+        const errors = validatePlan(data, this.tools.forJob(job), job.budget.max_steps);
+        if (errors.length > 0) {
+            return { error: "Invalid plan", errors };
+        }
+        // Only the editable fields; status and results start fresh
+        control.approve(new Plan({
+            reasoning: typeof data.reasoning === "string" ? data.reasoning : job.plan.reasoning,
+            steps: data.steps.map(({ step_id, description, tool, params = {}, dependencies = [], uncertainty_level = "low" }) =>
+                ({ step_id, description, tool, params, dependencies, uncertainty_level }))
+        }));
+        return { status: job.status };
+    }
+
+    /**
+     * Cooperative cancel/pause point, awaited between phases and steps.
+     * Blocks while the job is paused and throws once it is cancelled.
+     * Concurrent steps hitting a checkpoint share a single pause.
+     */
+    async checkpoint(jobId) {
+        const control = this.controls[jobId];
+
+        if (control.pauseRequested && !control.cancelRequested) {
+            control.paused = control.paused || this.waitForResume(jobId);
+            await control.paused;
+        }
+
+        if (control.cancelRequested) {
+            throw new JobCancelledError();
+        }
+    }
+
+    /**
+     * Budget point, awaited between research phases and steps.
+     * Throws once the job has spent one of its limits.
+     */
+    checkBudget(jobId) {
+        const reason = exhaustedBudget(this.jobs[jobId]);
+        if (reason) {
+            throw new BudgetExhaustedError(reason);
+        }
+    }
+
+    /**
+     * Pushes the budget deadline out by the time a job spent waiting on the
+     * user (paused, or reviewing its plan), so waiting doesn't use up research time.
+     * @param {number} waitStarted - Date.now() when the wait began
+     */
+    extendDeadline(jobId, waitStarted) {
+        const { budget } = this.jobs[jobId];
+        if (budget.deadline) {
+            budget.deadline = new Date(Date.parse(budget.deadline) + Date.now() - waitStarted).toISOString();
+        }
+    }
+
+    async waitForResume(jobId) {
+        const job = this.jobs[jobId];
+        const control = this.controls[jobId];
+        const previousStatus = job.status;
+        const pauseStarted = Date.now();
+
+        await this.setStatus(jobId, "paused");
+        await this.log(jobId, "⏸️ Paused");
+
+        await new Promise(resolve => {
+            control.resume = resolve;
+            // Resume or cancel may have arrived while the pause was being announced
+            if (!control.pauseRequested || control.cancelRequested) resolve();
+        });
+        control.resume = null;
+        control.paused = null;
+        this.extendDeadline(jobId, pauseStarted);
+
+        if (!control.cancelRequested) {
+            await this.setStatus(jobId, previousStatus);
+            await this.log(jobId, "▶️ Resumed");
+        }
+    }
+
+    /**
+     * Gives every URL a step searched or scraped a stable source ID,
+     * through the step tool's `registerSources` hook.
+     */
+    registerSources(jobId, step, result) {
+        const tool = this.tools.get(step.tool);
+        if (!tool?.registerSources || result == null) return;
+
+        const registry = new SourceRegistry(this.jobs[jobId].sources);
+        tool.registerSources(result, step, source => registry.register({ ...source, step_id: step.step_id }));
+    }
+
+    /**
+     * Verification stage of the report pipeline: the verifier scores the
+     * draft, lists issues and checks every claim against the source texts.
+     * @returns {Promise<{ ok: boolean, pass: boolean, score: number|null, issues: string[],
+     *   claims: import('./claims.js').Claim[] }>} `ok` is false when the review itself failed
+     */
+    async reviewDraft(jobId, draft) {
+        const job = this.jobs[jobId];
+        const registry = new SourceRegistry(job.sources);
+        await this.log(jobId, `🔎 [${this.llm.label("verifier")}] Reviewing draft and checking claims against sources...`);
+
+        const raw = await this.verifier.reviewDraft(job.topic, draft, evidenceBlock(job.plan, registry));
+        if (raw.error) {
+            await this.log(jobId, `⚠️ Draft review failed: ${raw.error}`, "warning");
+            return { ok: false, pass: false, score: null, issues: [], claims: [] };
+        }
+
+        const claims = this.config.claimCheck === "off" ? [] : normalizeClaims(raw, draft, registry);
+        const summary = summarizeClaims(claims);
+        const score = Number.isFinite(Number(raw.quality_score)) ? Number(raw.quality_score) : null;
+        await this.log(jobId, `📊 Draft score: ${score ?? "n/a"}/100` + (claims.length > 0
+            ? ` · 🧾 ${summary.checked} claim(s): ${summary.supported} supported, ${summary.unsupported} unsupported, ${summary.contradicted} contradicted`
+            : ""));
+        return {
+            ok: true,
+            pass: raw.status === "pass",
+            score,
+            issues: (Array.isArray(raw.issues) ? raw.issues : []).filter(i => typeof i === "string" && i.trim()),
+            claims
+        };
+    }
+
+    /**
+     * Report pipeline: outline → per-section drafts from the findings each
+     * section cites → verification of the draft → one revision when the
+     * review asks for it (re-verified). Claims still unsupported or
+     * contradicted at the end are flagged or removed (CLAIM_CHECK).
+     * A job that ran out of budget gets no revision.
+     * @param {Object} research - `{ passed, score, stopped_by }` of the research phase
+     */
+    async writeReport(jobId, findings, research) {
+        const job = this.jobs[jobId];
+        const registry = new SourceRegistry(job.sources);
+        const stream = this.reportStream(jobId);
+        const reporterLabel = this.llm.label("reporter");
+
+        let template = await this.templates.get(job.template);
+        if (!template) {
+            await this.log(jobId, `⚠️ Report template "${job.template}" no longer exists; using "${DEFAULT_TEMPLATE}"`, "warning");
+            template = await this.templates.get(DEFAULT_TEMPLATE);
+        }
+
+        // 1. Outline
+        await this.checkpoint(jobId);
+        await this.setStatus(jobId, "writing");
+        await this.log(jobId, `🗂️ [${reporterLabel}] Outlining ${template.name} (about ${template.words} words)...`);
+        const outline = await this.reporter.outline(job.topic, findings, registry, template);
+        await this.log(jobId, `🗂️ ${outline.sections.length} sections: ${outline.sections.map(s => s.title).join(", ")}`);
+
+        // 2. Draft section by section
+        let draft = `# ${outline.title}\n\n`;
+        stream.onChunk(draft);
+        for (const section of outline.sections) {
+            await this.checkpoint(jobId);
+            await this.log(jobId, `✍️ [${reporterLabel}] Drafting "${section.title}"...`);
+            const heading = `## ${section.title}\n\n`;
+            stream.onChunk(heading);
+            stream.mark();
+            const body = await this.reporter.draftSection(job.topic, section, outline, findings, registry, template, stream);
+            draft += `${heading}${body.trim()}\n\n`;
+            stream.onChunk("\n\n");
+        }
+        let stage = "draft";
+
+        // 3. Verify the draft
+        await this.checkpoint(jobId);
+        await this.setStatus(jobId, "verifying");
+        let review = await this.reviewDraft(jobId, draft);
+
+        // 4. Revise once if the review found problems
+        const open = (claims) => claims.filter(c => c.status !== "supported");
+        const spent = research.stopped_by || exhaustedBudget(job);
+        if (review.ok && (!review.pass || open(review.claims).length > 0) && spent) {
+            await this.log(jobId, `⏱️ Skipping revision: ${spent}`, "warning");
+        } else if (review.ok && (!review.pass || open(review.claims).length > 0)) {
+            await this.checkpoint(jobId);
+            await this.setStatus(jobId, "writing");
+            const issues = [
+                ...review.issues,
+                ...open(review.claims).map(c => `${c.status === "contradicted" ? "Contradicted by the sources" : "Not supported by any source"}: "${c.claim}"` +
+                    (c.evidence ? ` (source says: "${c.evidence}")` : ""))
+            ];
+            await this.log(jobId, `🔁 [${reporterLabel}] Revising draft (${issues.length} issue(s))...`);
+            stream.restart();
+            const revised = await this.reporter.revise(job.topic, draft, issues, evidenceBlock(job.plan, registry), registry, template, stream);
+            if (revised.startsWith("Error:")) {
+                await this.log(jobId, `⚠️ Revision failed, keeping the draft: ${revised}`, "warning");
+            } else {
+                draft = revised;
+                stage = "revision";
+                await this.setStatus(jobId, "verifying");
+                review = await this.reviewDraft(jobId, draft);
+            }
+        }
+
+        job.claims = review.claims;
+        const report = this.config.claimCheck === "off" ? draft : applyClaims(draft, job.claims, this.config.claimCheck);
+        const summary = summarizeClaims(job.claims);
+        const flagged = job.claims.filter(c => c.action !== "kept").length;
+        if (flagged > 0) {
+            await this.log(jobId, `⚠️ ${flagged} claim(s) ${this.config.claimCheck === "remove" ? "removed" : "flagged"} as unsupported or contradicted`, "warning");
+        }
+
+        await this.completeJob(jobId, report, {
+            stage,
+            template: template.id,
+            // Verified: the research and the published text both passed review, and every checked claim is backed
+            verified: research.passed && review.pass && (this.config.claimCheck === "off" || summary.verified),
+            score: review.score,
+            research_passed: research.passed,
+            research_score: research.score,
+            stopped_by: research.stopped_by
+        });
+    }
+
+    /**
+     * Validates the report's citations, appends References and publishes
+     * the final result.
+     * @param {Object} info - How the report was produced, stored as `report_info`
+     */
+    async completeJob(jobId, draft, info) {
+        const job = this.jobs[jobId];
+        const { report, cited, unknown } = applyCitations(draft || "", new SourceRegistry(job.sources));
+
+        if (unknown.length > 0) {
+            await this.log(jobId, `⚠️ Removed citations to unknown sources: ${unknown.map(n => `[${n}]`).join(" ")}`, "warning");
+        }
+        await this.log(jobId, `🔗 ${cited.length} source(s) cited`);
+
+        job.final_report = report;
+        job.report_info = info;
+        await this.setStatus(jobId, "completed");
+        this.notifySubscribers(jobId, 'result', {
+            report: job.final_report,
+            sources: job.sources,
+            claims: job.claims,
+            report_info: job.report_info
+        });
+    }
+
+    async recordUsage(jobId, record) {
+        const job = this.jobs[jobId];
+        job.usage.push(record);
+        this.notifySubscribers(jobId, 'usage', { call: record, summary: summarizeUsage(job.usage) });
+        await this.persist(jobId);
+    }
+
+    /**
+     * Forwards report text to SSE clients as `report_chunk` events while it
+     * is being generated. The report is streamed by several LLM calls, so a
+     * provider fallback (onReset) only discards the output since the last
+     * mark(): `{ reset: true, draft }` tells clients to replace their draft
+     * with the text streamed before it. restart() starts a new draft.
+     */
+    reportStream(jobId) {
+        let text = "";
+        let start = 0;
+        const reset = () => this.notifySubscribers(jobId, 'report_chunk', { reset: true, draft: text });
+        return {
+            onChunk: (delta) => {
+                text += delta;
+                this.notifySubscribers(jobId, 'report_chunk', { delta });
+            },
+            onReset: () => {
+                text = text.slice(0, start);
+                reset();
+            },
+            mark: () => { start = text.length; },
+            restart: () => {
+                text = "";
+                start = 0;
+                reset();
+            }
+        };
+    }
+
     notifySubscribers(jobId, event, data) {
         const subscribers = this.eventSubscribers[jobId];
         if (subscribers) {
@@ -69,95 +582,254 @@ export class Controller {
         }
     }
 
-    async runJob(jobId) {
+    /**
+     * Pre-planning stage: the planner judges whether the topic is ambiguous
+     * and, if it is, the job emits `clarification_needed` and waits for
+     * answers. Without answers before the timeout, planning goes ahead from
+     * the topic as given.
+     */
+    async clarify(jobId) {
+        const job = this.jobs[jobId];
+        const control = this.controls[jobId];
+
+        await this.checkpoint(jobId);
+        await this.setStatus(jobId, "planning");
+        await this.log(jobId, `❓ [${this.llm.label("planner")}] Checking whether the topic needs clarifying...`);
+        const questions = await this.planner.clarify(job.topic);
+        if (questions.length === 0) {
+            await this.log(jobId, "❓ Topic is clear enough to plan");
+            return;
+        }
+
+        const timeoutSeconds = Math.round(this.config.clarifyTimeoutMs / 1000);
+        job.clarifications = questions.map(question => ({ question, answer: null }));
+        await this.setStatus(jobId, "awaiting_answers");
+        await this.log(jobId, `❓ ${questions.length} clarifying question(s) - waiting up to ${timeoutSeconds}s for answers`);
+        this.notifySubscribers(jobId, 'clarification_needed', { questions, timeout_seconds: timeoutSeconds });
+
+        const answers = await new Promise(resolve => {
+            const timer = setTimeout(() => resolve(null), this.config.clarifyTimeoutMs);
+            control.answer = (value) => {
+                clearTimeout(timer);
+                resolve(value);
+            };
+        });
+        control.answer = null;
+        await this.checkpoint(jobId);
+
+        if (answers === null) {
+            await this.log(jobId, "⏱️ No answers - planning from the topic as given", "warning");
+            return;
+        }
+        job.clarifications.forEach((c, i) => {
+            c.answer = typeof answers[i] === "string" && answers[i].trim() ? answers[i].trim() : null;
+        });
+        const answered = job.clarifications.filter(c => c.answer).length;
+        await this.log(jobId, `💬 ${answered}/${questions.length} question(s) answered`);
+    }
+
+    /**
+     * Human review of a fresh plan: the job emits `plan_review` and waits in
+     * `awaiting_approval` until approvePlan() is called or the timeout
+     * approves the plan as proposed. Waiting doesn't count against the
+     * budget deadline.
+     * @returns {Promise<Plan>} The plan to execute
+     */
+    async reviewPlan(jobId, tools) {
+        const job = this.jobs[jobId];
+        const control = this.controls[jobId];
+        const timeoutSeconds = Math.round(this.config.planApprovalTimeoutMs / 1000);
+        const waitStarted = Date.now();
+
+        await this.setStatus(jobId, "awaiting_approval");
+        await this.log(jobId, `✋ Plan ready for review - auto-approving in ${timeoutSeconds}s`);
+        this.notifySubscribers(jobId, 'plan_review', { plan: job.plan, tools: tools.describe(), timeout_seconds: timeoutSeconds });
+
+        const approved = await new Promise(resolve => {
+            const timer = setTimeout(() => resolve(null), this.config.planApprovalTimeoutMs);
+            control.approve = (plan) => {
+                clearTimeout(timer);
+                resolve(plan);
+            };
+        });
+        control.approve = null;
+        this.extendDeadline(jobId, waitStarted);
+        await this.checkpoint(jobId);
+
+        if (!approved) {
+            await this.log(jobId, "⏱️ No review - plan approved as proposed");
+            return job.plan;
+        }
+        const fields = (plan) => JSON.stringify(plan.steps.map(s => [s.step_id, s.description, s.tool, s.params, s.dependencies]));
+        await this.log(jobId, fields(approved) === fields(job.plan)
+            ? "✅ Plan approved as proposed"
+            : `✏️ Plan edited and approved: ${approved.steps.length} steps (proposed ${job.plan.steps.length})`);
+        return approved;
+    }
+
+    /**
+     * Plan-execute-verify rounds until the verifier passes the research or
+     * the job's attempts are used up. Progress is kept on `research` so a
+     * budget stop can still write a report: `findings` and `plan` belong to
+     * the last attempt whose steps all ran, `current` to the attempt in progress.
+     * @param {Object} research - `{ passed, score, findings, plan, current }`, updated in place
+     * @throws {BudgetExhaustedError} When a limit is reached between steps
+     */
+    async research(jobId, research, { tools, corpus, search }) {
         const job = this.jobs[jobId];
-        let attempt = 0;
+        const { budget } = job;
         let feedback = null;
-        let lastFindings = null;
 
-        try {
-            while (attempt < this.config.maxRetries) {
-                attempt++;
-                await this.log(jobId, `🔄 Attempt ${attempt}/${this.config.maxRetries}`);
+        for (let attempt = 1; attempt <= budget.attempts; attempt++) {
+            await this.checkpoint(jobId);
+            this.checkBudget(jobId);
+            await this.log(jobId, `🔄 Attempt ${attempt}/${budget.attempts}`);
 
-                // 1. PLANNING (Groq - fast)
-                job.status = "planning";
-                this.notifySubscribers(jobId, 'status', { status: job.status });
-                await this.log(jobId, "📋 Planning [Groq]...");
+            // 1. PLANNING (planner role - fast)
+            await this.setStatus(jobId, "planning");
+            await this.log(jobId, `📋 Planning [${this.llm.label("planner")}]...`);
 
-                const plan = await this.planner.createPlan(job.topic, feedback);
-                job.plan = plan;
-                await this.log(jobId, `📋 ${plan.steps.length} steps planned`);
+            let plan = await this.planner.createPlan(job.topic, {
+                feedback,
+                clarifications: job.clarifications,
+                tools,
+                steps: stepRange(budget),
+                maxSteps: budget.max_steps,
+                onRepair: async (errors) => {
+                    await this.log(jobId, `🔧 Plan failed validation, asking the planner to repair it: ${errors.join('; ')}`, "warning");
+                }
+            });
+            job.plan = plan;
+            await this.log(jobId, `📋 ${plan.steps.length} steps planned`);
+            if (job.review_plan) {
+                plan = job.plan = await this.reviewPlan(jobId, tools);
+            }
 
-                // 2. EXECUTING (Groq - fast)
-                job.status = "executing";
-                this.notifySubscribers(jobId, 'status', { status: job.status });
-                const findings = {};
+            // 2. EXECUTING (executor role - fast)
+            await this.setStatus(jobId, "executing");
+            const findings = {};
+            research.current = { findings, plan };
 
-                for (const step of plan.steps) {
+            await runSteps(plan.steps, {
+                concurrency: this.config.maxConcurrentSteps,
+                runStep: async (step) => {
+                    await this.checkpoint(jobId);
+                    this.checkBudget(jobId);
                     step.status = "active";
-                    await this.log(jobId, `⚡ [Groq] ${step.description}`);
+                    await this.log(jobId, `⚡ [${this.llm.label("executor")}] ${step.description}`);
+
+                    // Only the declared dependencies are visible to a step
+                    const context = {};
+                    step.dependencies.forEach(dep => { context[dep] = findings[dep]; });
 
-                    const result = await this.executor.executeStep(step, JSON.stringify(findings));
+                    const result = await this.executor.executeStep(step, JSON.stringify(context), {
+                        corpus,
+                        search,
+                        log: (message, level) => this.log(jobId, message, level)
+                    });
+                    this.registerSources(jobId, step, result);
                     step.result = result;
                     step.status = "completed";
                     findings[step.step_id] = result;
 
-                    await this.log(jobId, `✅ Done (${result.length} chars)`);
-                    await new Promise(r => setTimeout(r, this.config.delayBetweenSteps));
+                    await this.log(jobId, `✅ ${step.step_id} done (${describeResult(result)})`);
                 }
+            });
+            research.findings = findings;
+            research.plan = plan;
+            research.current = null;
 
-                lastFindings = findings;
+            // 3. VERIFYING the research (verifier role - thorough)
+            await this.checkpoint(jobId);
+            this.checkBudget(jobId);
+            await this.setStatus(jobId, "verifying");
+            await this.log(jobId, "━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+            const verifierLabel = this.llm.label("verifier");
+            await this.log(jobId, `🔮 [${verifierLabel}] Verifying research quality...`);
 
-                // 3. VERIFYING (Gemini - thorough)
-                job.status = "verifying";
-                this.notifySubscribers(jobId, 'status', { status: job.status });
-                await this.log(jobId, "━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-                await this.log(jobId, "🔮 [Gemini] Starting verification...");
-                await this.log(jobId, "🔬 [Gemini] Analyzing research quality...");
-                await new Promise(r => setTimeout(r, 500));
-                await this.log(jobId, "📋 [Gemini] Cross-referencing findings...");
-                await new Promise(r => setTimeout(r, 300));
-                await this.log(jobId, "✍️ [Gemini] Generating comprehensive report...");
+            const registry = new SourceRegistry(job.sources);
+            const verification = await this.verifier.verify(job.topic, plan, findings, registry);
+            research.score = Number.isFinite(Number(verification.quality_score)) ? Number(verification.quality_score) : null;
 
-                const verification = await this.verifier.verify(job.topic, plan, findings);
+            await this.log(jobId, `✅ [${verifierLabel}] Verification complete!`);
+            if (research.score !== null) {
+                await this.log(jobId, `📊 Quality Score: ${research.score}/100`);
+            }
 
-                await this.log(jobId, "✅ [Gemini] Verification complete!");
-                if (verification.quality_score) {
-                    await this.log(jobId, `📊 Quality Score: ${verification.quality_score}/100`);
-                }
+            if (verification.status === "pass") {
+                research.passed = true;
+                return;
+            }
 
-                if (verification.status === "pass") {
-                    job.status = "completed";
-                    job.final_report = verification.final_report;
-                    this.notifySubscribers(jobId, 'status', { status: job.status });
-                    this.notifySubscribers(jobId, 'result', { report: job.final_report });
-                    await this.log(jobId, "🎉 Research completed!");
-                    return;
-                }
+            feedback = verification.feedback;
+            await this.log(jobId, `⚠️ ${feedback}`, "warning");
+        }
+    }
 
-                feedback = verification.feedback;
-                await this.log(jobId, `⚠️ ${feedback}`, "warning");
+    async runJob(jobId) {
+        const job = this.jobs[jobId];
+        const { budget } = job;
+        const research = { passed: false, score: null, findings: null, plan: null, current: null, stopped_by: null };
+
+        try {
+            const tools = this.tools.forJob(job);
+            const corpus = job.corpus ? await this.corpora.open(job.corpus) : null;
+            if (corpus) {
+                await this.log(jobId, `📚 Using document corpus "${corpus.id}" (${corpus.documents.length} documents)`);
+            }
+            if (job.clarify) {
+                await this.clarify(jobId);
             }
 
-            // Fallback: Generate report with Gemini
-            if (lastFindings) {
-                await this.log(jobId, "📝 Generating report [Gemini]...", "warning");
-                job.status = "completed";
-                job.final_report = await this.reporter.generate(job.topic, lastFindings);
-                this.notifySubscribers(jobId, 'status', { status: job.status });
-                this.notifySubscribers(jobId, 'result', { report: job.final_report });
-                await this.log(jobId, "✅ Report generated!");
+            // The deadline runs from here; time spent waiting for answers doesn't count
+            budget.deadline = new Date(Date.now() + budget.max_minutes * 60000).toISOString();
+            await this.log(jobId, `💰 ${budget.depth} research: up to ${budget.max_steps} steps, ${budget.max_searches} searches, ` +
+                `${budget.max_tokens} tokens, ${budget.max_minutes} min`);
+
+            try {
+                await this.research(jobId, research, { tools, corpus, search: meteredSearch(this.search, job) });
+            } catch (error) {
+                if (!(error instanceof BudgetExhaustedError)) throw error;
+                research.stopped_by = error.reason;
+                // A stop mid-attempt keeps the last attempt that finished, whose findings
+                // are complete; only a first attempt reports on the steps it got through
+                if (!research.findings && research.current && Object.keys(research.current.findings).length > 0) {
+                    research.findings = research.current.findings;
+                    research.plan = research.current.plan;
+                }
+                // Report on the plan the findings came from, not a newer one that never ran
+                job.plan = research.plan || job.plan;
+                job.plan?.steps.filter(s => s.status === "pending").forEach(s => { s.status = "skipped"; });
+                await this.log(jobId, `⏱️ ${error.reason} - stopping research`, "warning");
+            }
+
+            if (!research.findings) {
+                await this.setStatus(jobId, "failed");
+                await this.log(jobId, research.stopped_by ? "❌ Budget spent before any step finished." : "❌ Research failed.", "error");
                 return;
             }
 
-            job.status = "failed";
-            this.notifySubscribers(jobId, 'status', { status: job.status });
-            await this.log(jobId, "❌ Research failed.", "error");
+            // 4. REPORTING (reporter role, verified by the verifier role)
+            if (research.stopped_by) {
+                await this.log(jobId, "⚠️ Writing a partial report from the steps that finished", "warning");
+            } else if (!research.passed) {
+                await this.log(jobId, "⚠️ Research did not pass verification; writing the report from the last findings", "warning");
+            }
+            await this.writeReport(jobId, research.findings, research);
+            await this.log(jobId, "🎉 Research completed!");
 
         } catch (error) {
-            job.status = "failed";
-            this.notifySubscribers(jobId, 'status', { status: job.status });
+            if (error instanceof JobCancelledError) {
+                await this.setStatus(jobId, "cancelled");
+                await this.log(jobId, "🛑 Research cancelled", "warning");
+                return;
+            }
+            if (error instanceof PlanValidationError) {
+                await this.setStatus(jobId, "failed");
+                await this.log(jobId, `❌ Planner returned an invalid plan after repair: ${error.errors.join('; ')}`, "error");
+                return;
+            }
+            await this.setStatus(jobId, "failed");
             await this.log(jobId, `💥 Error: ${error.message}`, "error");
             console.error(error);
         }
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Dependency-aware step scheduler.
+ * Validates that a plan's step dependencies form a DAG and executes
+ * independent steps concurrently up to a configurable limit.
+ * @module agent/scheduler
+ */
+
+/**
+ * Checks a plan's dependency graph.
+ * @param {import('../memory.js').Step[]} steps
+ * @returns {string[]} Human-readable problems; empty when the graph is valid
+ */
+export function validateDependencies(steps) {
+    const errors = [];
+    const ids = new Set(steps.map(s => s.step_id));
+
+    for (const step of steps) {
+        for (const dep of step.dependencies) {
+            if (!ids.has(dep)) {
+                errors.push(`${step.step_id} depends on unknown step "${dep}"`);
+            } else if (dep === step.step_id) {
+                errors.push(`${step.step_id} depends on itself`);
+            }
+        }
+    }
+    if (errors.length > 0) return errors;
+
+    // Kahn's algorithm - anything left unvisited sits on a cycle
+    const remaining = new Map(steps.map(s => [s.step_id, new Set(s.dependencies)]));
+    let progressed = true;
+    while (progressed && remaining.size > 0) {
+        progressed = false;
+        for (const [id, deps] of remaining) {
+            if (deps.size === 0) {
+                remaining.delete(id);
+                remaining.forEach(d => d.delete(id));
+                progressed = true;
+            }
+        }
+    }
+    if (remaining.size > 0) {
+        errors.push(`Dependency cycle between steps: ${[...remaining.keys()].join(', ')}`);
+    }
+    return errors;
+}
+
+/**
+ * Runs steps as soon as all of their dependencies have completed.
+ * If a step throws, no further steps are started and the first error is
+ * rethrown once the steps already in flight have settled.
+ * @param {import('../memory.js').Step[]} steps - Must pass validateDependencies
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum steps in flight at once
+ * @param {(step: import('../memory.js').Step) => Promise<void>} options.runStep
+ */
+export async function runSteps(steps, { concurrency, runStep }) {
+    const done = new Set();
+    const pending = [...steps];
+    const running = new Map();
+    let failure = null;
+
+    while ((pending.length > 0 && !failure) || running.size > 0) {
+        while (!failure && running.size < concurrency) {
+            const index = pending.findIndex(s => s.dependencies.every(dep => done.has(dep)));
+            if (index === -1) break;
+
+            const [step] = pending.splice(index, 1);
+            const task = runStep(step)
+                .then(() => { done.add(step.step_id); })
+                .catch(error => { failure = failure || error; })
+                .finally(() => { running.delete(step.step_id); });
+            running.set(step.step_id, task);
+        }
+
+        if (running.size === 0) break;
+        await Promise.race(running.values());
+    }
+
+    if (failure) throw failure;
+}
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Plan schema and validation for planner output.
+ * Catches malformed plans before they reach the executor so they can be
+ * repaired by the planner or rejected with a clear reason.
+ * @module agent/schema
+ */
+
+import { validateDependencies } from './scheduler.js';
+import { defaultTools } from '../tools/registry.js';
+
+/** Hard cap on plan size, whatever the planner asks for */
+export const MAX_PLAN_STEPS = Number(process.env.MAX_PLAN_STEPS) || 8;
+
+const UNCERTAINTY_LEVELS = ["low", "medium", "high"];
+
+/**
+ * Raised when planner output still fails validation after repair.
+ */
+export class PlanValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid plan: ${errors.join('; ')}`);
+        this.name = 'PlanValidationError';
+        this.errors = errors;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateStep(step, index, seenIds, tools) {
+    const errors = [];
+    const name = typeof step?.step_id === "string" && step.step_id ? step.step_id : `steps[${index}]`;
+
+    if (!isObject(step)) {
+        return [`${name} is not an object`];
+    }
+
+    if (typeof step.step_id !== "string" || !step.step_id.trim()) {
+        errors.push(`${name} is missing "step_id"`);
+    } else if (seenIds.has(step.step_id)) {
+        errors.push(`Duplicate step_id "${step.step_id}"`);
+    } else {
+        seenIds.add(step.step_id);
+    }
+
+    if (typeof step.description !== "string" || !step.description.trim()) {
+        errors.push(`${name} is missing "description"`);
+    }
+
+    errors.push(...tools.validateParams(step.tool, step.params).map(e => `${name} ${e}`));
+
+    if (step.dependencies !== undefined && step.dependencies !== null &&
+        !(Array.isArray(step.dependencies) && step.dependencies.every(d => typeof d === "string"))) {
+        errors.push(`${name} "dependencies" must be an array of step_ids`);
+    }
+
+    if (step.uncertainty_level !== undefined && !UNCERTAINTY_LEVELS.includes(step.uncertainty_level)) {
+        errors.push(`${name} "uncertainty_level" must be one of ${UNCERTAINTY_LEVELS.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validates raw planner output against the plan schema:
+ * a non-empty `steps` array of at most `maxSteps` steps, each with a
+ * unique step_id, a description, a registered tool with valid params,
+ * and dependencies forming a DAG.
+ * @param {*} data - Parsed planner JSON
+ * @param {import('../tools/registry.js').ToolRegistry} [tools]
+ * @param {number} [maxSteps] - The job's step budget, at most MAX_PLAN_STEPS
+ * @returns {string[]} Human-readable problems; empty when the plan is valid
+ */
+export function validatePlan(data, tools = defaultTools, maxSteps = MAX_PLAN_STEPS) {
+    if (!isObject(data)) {
+        return ["Plan must be a JSON object"];
+    }
+    if (data.error) {
+        return [`Planner output could not be parsed: ${data.error}`];
+    }
+    if (!Array.isArray(data.steps)) {
+        return ['Plan is missing the "steps" array'];
+    }
+    if (data.steps.length === 0) {
+        return ["Plan has no steps"];
+    }
+
+    const errors = [];
+    if (data.steps.length > maxSteps) {
+        errors.push(`Plan has ${data.steps.length} steps; the maximum is ${maxSteps}`);
+    }
+
+    const seenIds = new Set();
+    data.steps.forEach((step, index) => errors.push(...validateStep(step, index, seenIds, tools)));
+
+    // The graph check needs well-formed steps to say anything useful
+    if (errors.length === 0) {
+        errors.push(...validateDependencies(data.steps.map(s => ({ ...s, dependencies: s.dependencies || [] }))));
+    }
+    return errors;
+}
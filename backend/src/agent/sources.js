@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Per-job source registry and citation post-processing.
+ * Every URL a job searches or scrapes gets a stable numeric ID; reports
+ * cite those IDs inline as [n] and get an auto-generated References section.
+ * @module agent/sources
+ */
+
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|ref|ref_src)$/i;
+
+/**
+ * Normalizes a URL so trivially different forms of the same page
+ * (fragment, tracking params, trailing slash, host case) share one ID.
+ */
+export function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        // Non-web URLs (local documents) are already canonical, fragment included
+        if (!['http:', 'https:'].includes(parsed.protocol)) return url.trim();
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        [...parsed.searchParams.keys()]
+            .filter(key => TRACKING_PARAMS.test(key))
+            .forEach(key => parsed.searchParams.delete(key));
+        parsed.searchParams.sort();
+        return parsed.toString().replace(/\/$/, '');
+    } catch {
+        return url.trim();
+    }
+}
+
+/**
+ * Wraps a job's `sources` array. Mutations go straight to the array so the
+ * registry is persisted along with the JobState that owns it.
+ */
+export class SourceRegistry {
+    constructor(sources = []) {
+        this.sources = sources;
+    }
+
+    /**
+     * Registers a URL, returning its existing ID if it was seen before.
+     * @returns {number}
+     */
+    register({ url, title, snippet = '', step_id = null, document = null }) {
+        const key = normalizeUrl(url);
+        const existing = this.sources.find(s => s.key === key);
+        if (existing) {
+            // Keep the richest snippet we have seen for this page
+            if (snippet.length > existing.snippet.length) existing.snippet = snippet;
+            return existing.id;
+        }
+
+        const id = this.sources.length + 1;
+        this.sources.push({ id, key, url, title: title || url, snippet, step_id, ...(document && { document }) });
+        return id;
+    }
+
+    get(id) {
+        return this.sources.find(s => s.id === id) || null;
+    }
+
+    /**
+     * Source list for LLM prompts - one `[n] title (url)` line per source.
+     */
+    toPromptBlock() {
+        if (this.sources.length === 0) return 'None';
+        return this.sources
+            .map(s => `[${s.id}] ${s.title} (${s.url})${s.snippet ? `\n    ${s.snippet.substring(0, 200)}` : ''}`)
+            .join('\n');
+    }
+}
+
+/**
+ * Citation rules appended to every report-writing prompt.
+ */
+export const CITATION_INSTRUCTIONS = `
+        CITATIONS:
+        - Cite every factual statement inline as [n], using ONLY the numbers listed in SOURCES.
+        - Combine multiple sources as [1][3]. Never invent a source number or URL.
+        - Do NOT write a References or Sources section; it is added automatically.`;
+
+/**
+ * Validates the inline citations of a report against the registry.
+ * Citations to unknown IDs are stripped, and a References section listing
+ * every cited source is appended.
+ * @returns {{ report: string, cited: number[], unknown: number[] }}
+ */
+export function applyCitations(report, registry) {
+    const cited = new Set();
+    const unknown = new Set();
+
+    // Drop any references section the model wrote anyway
+    let body = report.replace(/\n#{1,3}\s*(References|Sources)\s*\n[\s\S]*$/i, '').trimEnd();
+
+    // Unknown markers go together with the spaces before them, so "Also [9]." becomes
+    // "Also."; at the start of a line the spaces after them go instead
+    body = body.replace(/[ \t]*\[(\d+)\](?!\()([ \t]*)/g, (match, n, after, offset, text) => {
+        const id = Number(n);
+        if (registry.get(id)) {
+            cited.add(id);
+            return match;
+        }
+        unknown.add(id);
+        return offset === 0 || text[offset - 1] === '\n' ? '' : after;
+    });
+
+    const ids = [...cited].sort((a, b) => a - b);
+    if (ids.length > 0) {
+        const references = ids.map(id => {
+            const source = registry.get(id);
+            const title = source.title.replace(/[[\]]/g, '');
+            // Local documents have no web link; the title carries file and page/section
+            return source.document ? `- [${id}] ${title}` : `- [${id}] [${title}](${source.url})`;
+        });
+        body += `\n\n## References\n\n${references.join('\n')}\n`;
+    }
+
+    return { report: body, cited: ids, unknown: [...unknown].sort((a, b) => a - b) };
+}
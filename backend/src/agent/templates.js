@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Report templates: the sections, length budget and tone a
+ * report is written to. Built-in templates cover the common report types;
+ * custom ones are JSON files in REPORT_TEMPLATE_DIR (see
+ * report-template.example.json) and override built-ins with the same ID.
+ * @module agent/templates
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_TEMPLATE = 'standard';
+
+const TEMPLATE_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * @typedef {Object} TemplateSection
+ * @property {string} title
+ * @property {string} [guidance] - What the section must cover
+ * @property {number} [words] - Length budget; defaults to an even share of the template's
+ */
+
+/**
+ * @typedef {Object} ReportTemplate
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} tone - Voice and register, given to every writing prompt
+ * @property {number} words - Length budget for the whole report
+ * @property {TemplateSection[]} sections
+ */
+
+/** @type {ReportTemplate[]} */
+const BUILTIN_TEMPLATES = [
+    {
+        id: 'standard',
+        name: 'Standard Report',
+        description: 'General research report with findings, analysis and recommendations.',
+        tone: 'Professional and specific; lead with data.',
+        words: 1500,
+        sections: [
+            { title: 'Executive Summary', guidance: 'The answer to the research goal in a few sentences.' },
+            { title: 'Key Findings', guidance: 'The most important facts and figures.' },
+            { title: 'Analysis', guidance: 'What the findings mean, trade-offs and open questions.' },
+            { title: 'Recommendations', guidance: 'Concrete next steps that follow from the analysis.' },
+            { title: 'Conclusion' }
+        ]
+    },
+    {
+        id: 'competitive-analysis',
+        name: 'Competitive Analysis',
+        description: 'Compares the main players of a market and where the openings are.',
+        tone: 'Objective and comparative, like a strategy consultant; no marketing language.',
+        words: 2000,
+        sections: [
+            { title: 'Executive Summary', guidance: 'Who leads, who is rising, and the main takeaway.' },
+            { title: 'Market Landscape', guidance: 'Segments, size indicators and who competes in each.' },
+            { title: 'Competitor Profiles', guidance: 'One short profile per major competitor: offering, pricing, positioning, traction.' },
+            { title: 'Feature and Pricing Comparison', guidance: 'A markdown table comparing the competitors on the dimensions that matter.' },
+            { title: 'Strengths and Weaknesses', guidance: 'Per competitor, backed by evidence.' },
+            { title: 'Opportunities and Threats', guidance: 'Gaps in the market and risks to watch.' }
+        ]
+    },
+    {
+        id: 'literature-review',
+        name: 'Literature Review',
+        description: 'Synthesizes published work on a question, by theme, with its gaps.',
+        tone: 'Academic and cautious; attribute every finding to its source and note disagreements.',
+        words: 2500,
+        sections: [
+            { title: 'Introduction', guidance: 'The research question and why it matters.' },
+            { title: 'Scope and Sources', guidance: 'What kinds of sources were found and their limits.' },
+            { title: 'Thematic Synthesis', guidance: 'Findings grouped by theme, comparing what different sources report.' },
+            { title: 'Methodological Notes', guidance: 'How the cited studies were done and how strong their evidence is.' },
+            { title: 'Gaps and Future Research' },
+            { title: 'Conclusion' }
+        ]
+    },
+    {
+        id: 'market-sizing',
+        name: 'Market Sizing',
+        description: 'Estimates TAM, SAM and SOM with explicit assumptions.',
+        tone: 'Quantitative and transparent; show every assumption and calculation.',
+        words: 1800,
+        sections: [
+            { title: 'Summary', guidance: 'The headline TAM/SAM/SOM figures with their ranges.' },
+            { title: 'Market Definition', guidance: 'What is and is not counted, geography and time frame.' },
+            { title: 'Top-Down Estimate', guidance: 'From published market figures down to the segment.' },
+            { title: 'Bottom-Up Estimate', guidance: 'From customer counts and prices up, as a worked calculation.' },
+            { title: 'Growth Drivers and Risks' },
+            { title: 'Assumptions and Sensitivities', guidance: 'A table of assumptions and how the estimate moves with them.' }
+        ]
+    },
+    {
+        id: 'technical-due-diligence',
+        name: 'Technical Due Diligence',
+        description: 'Assesses a technology, product or company for risks before a decision.',
+        tone: 'Critical and evidence-driven; call out risks plainly and rate their severity.',
+        words: 2000,
+        sections: [
+            { title: 'Summary and Verdict', guidance: 'Overall assessment and the few risks that matter most.' },
+            { title: 'Technology Overview', guidance: 'Architecture, stack and how it works.' },
+            { title: 'Maturity and Adoption', guidance: 'Releases, users, community and vendor health.' },
+            { title: 'Security and Compliance' },
+            { title: 'Scalability and Operations' },
+            { title: 'Risks and Mitigations', guidance: 'A table of risks with severity and mitigation.' }
+        ]
+    },
+    {
+        id: 'one-page-brief',
+        name: 'One-Page Brief',
+        description: 'A short brief for busy readers: the answer, the evidence, what to do.',
+        tone: 'Crisp and direct; short sentences and bullet points.',
+        words: 450,
+        sections: [
+            { title: 'Bottom Line', guidance: 'The answer in two or three sentences.', words: 80 },
+            { title: 'Key Points', guidance: 'Three to five bullets with the supporting facts.', words: 220 },
+            { title: 'Next Steps', guidance: 'Two or three bullets.', words: 150 }
+        ]
+    }
+];
+
+/**
+ * Checks a template definition.
+ * @returns {string[]} Human-readable errors; empty when the template is valid
+ */
+export function validateTemplate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['template must be a JSON object'];
+    if (!TEMPLATE_ID.test(data.id || '')) errors.push('"id" must be lowercase letters, digits, "-" or "_"');
+    if (typeof data.name !== 'string' || !data.name.trim()) errors.push('"name" is required');
+    if (data.words !== undefined && !(Number.isInteger(data.words) && data.words > 0)) errors.push('"words" must be a positive integer');
+    if (!Array.isArray(data.sections) || data.sections.length === 0) {
+        errors.push('"sections" must be a non-empty array');
+    } else {
+        data.sections.forEach((section, i) => {
+            if (typeof section?.title !== 'string' || !section.title.trim()) errors.push(`sections[${i}].title is required`);
+            if (section?.words !== undefined && !(Number.isInteger(section.words) && section.words > 0)) {
+                errors.push(`sections[${i}].words must be a positive integer`);
+            }
+        });
+    }
+    return errors;
+}
+
+function normalizeTemplate(data) {
+    return {
+        id: data.id,
+        name: data.name.trim(),
+        description: data.description || '',
+        tone: data.tone || 'Professional and specific.',
+        words: data.words || 1500,
+        sections: data.sections.map(s => ({ title: s.title.trim(), guidance: s.guidance || '', ...(s.words && { words: s.words }) }))
+    };
+}
+
+/**
+ * Length budget of one section: its own, or an even share of the template's.
+ */
+export function sectionWords(template, section) {
+    return section.words || Math.round(template.words / template.sections.length);
+}
+
+/**
+ * Built-in plus custom templates. Custom files are re-read on every call so
+ * new or edited files apply without a restart.
+ */
+export class TemplateLibrary {
+    constructor(dir = process.env.REPORT_TEMPLATE_DIR || './data/templates') {
+        this.dir = dir;
+    }
+
+    async loadCustom() {
+        let files = [];
+        try {
+            files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Templates: cannot read', this.dir, error.message);
+            return [];
+        }
+
+        const templates = [];
+        for (const file of files) {
+            try {
+                const data = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+                data.id = data.id || path.basename(file, '.json');
+                const errors = validateTemplate(data);
+                if (errors.length > 0) {
+                    console.error(`Templates: skipping ${file}: ${errors.join('; ')}`);
+                    continue;
+                }
+                templates.push({ ...normalizeTemplate(data), custom: true });
+            } catch (error) {
+                console.error(`Templates: skipping ${file}:`, error.message);
+            }
+        }
+        return templates;
+    }
+
+    /**
+     * @returns {Promise<ReportTemplate[]>} Built-ins first, custom templates replacing built-ins by ID
+     */
+    async list() {
+        const custom = await this.loadCustom();
+        const builtins = BUILTIN_TEMPLATES
+            .filter(t => !custom.some(c => c.id === t.id))
+            .map(t => ({ ...t, custom: false }));
+        return [...builtins, ...custom];
+    }
+
+    /**
+     * @returns {Promise<ReportTemplate|null>}
+     */
+    async get(id) {
+        return (await this.list()).find(t => t.id === id) || null;
+    }
+}
@@ -1,207 +1,602 @@
 import Groq from "groq-sdk";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import axios from "axios";
+import fs from "fs";
+import path from "path";
 import dotenv from "dotenv";
+import { recordUsage, estimateTokens, estimateCost } from "./usage.js";
+import { Throttle } from "./throttle.js";
 
 dotenv.config();
 
 /**
- * Hybrid LLM System with Rate Limit Handling
+ * Pluggable LLM System with Rate Limit Handling
+ *
+ * Providers are declared in config (see llm.config.example.json) and routed
+ * per agent role with fallback chains. Every provider implements the same
+ * interface: generateJson(prompt) -> object | { error }, and
+ * generateText(prompt) -> string ("Error: ..." on failure). The *Stream
+ * variants additionally report raw output deltas through onChunk.
  */
 
-export class GroqLLM {
-    constructor() {
-        const apiKey = process.env.GROQ_API_KEY;
-        if (!apiKey) {
-            console.warn("WARNING: GROQ_API_KEY not found");
-        }
-        this.groq = new Groq({ apiKey });
-        this.modelName = "llama-3.3-70b-versatile";
-        this.lastRequestTime = 0;
-        this.minDelay = 1500;
-        console.log(`✓ Groq initialized: ${this.modelName}`);
+/**
+ * Shared throttling, retry and usage-metering logic. Subclasses implement
+ * completeJson(prompt, meter) and completeText(prompt, meter), which may
+ * throw, and may override streamText/streamJson when the provider supports
+ * streaming. Implementations report token counts via meter.usage.
+ */
+class BaseLLM {
+    constructor({ name, label, model, minDelay = 1000, retryDelay = 2000 }) {
+        this.name = name;
+        this.label = label || name.charAt(0).toUpperCase() + name.slice(1);
+        this.modelName = model;
+        this.throttler = new Throttle(minDelay);
+        this.retryDelay = retryDelay;
+        this.available = true;
+        this.price = null; // USD per million tokens, set from the config price table
     }
 
-    async throttle() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        if (timeSinceLastRequest < this.minDelay) {
-            await new Promise(resolve => setTimeout(resolve, this.minDelay - timeSinceLastRequest));
-        }
-        this.lastRequestTime = Date.now();
+    isRateLimited(error) {
+        return error.status === 429 || error.response?.status === 429 || error.message?.includes('429');
     }
 
-    async generateJson(prompt, retries = 3) {
+    async withRetries(call, retries, canRetry = () => true, meter = { retries: 0 }) {
         for (let i = 0; i < retries; i++) {
             try {
-                await this.throttle();
-                const completion = await this.groq.chat.completions.create({
-                    messages: [{ role: "user", content: prompt }],
-                    model: this.modelName,
-                    response_format: { type: "json_object" }
-                });
-                return JSON.parse(completion.choices[0]?.message?.content || "{}");
+                await this.throttler.wait();
+                return { value: await call() };
             } catch (error) {
-                if (error.status === 429 && i < retries - 1) {
-                    const wait = Math.pow(2, i + 1) * 2000;
-                    console.log(`Groq rate limit, waiting ${wait / 1000}s...`);
+                if (this.isRateLimited(error) && i < retries - 1 && canRetry()) {
+                    const wait = Math.pow(2, i + 1) * this.retryDelay;
+                    console.log(`${this.label} rate limit, waiting ${wait / 1000}s...`);
+                    meter.retries++;
                     await new Promise(r => setTimeout(r, wait));
                     continue;
                 }
-                console.error("Groq Error:", error.message);
                 return { error: error.message };
             }
         }
         return { error: "Max retries exceeded" };
     }
 
-    async generateText(prompt, retries = 3) {
-        for (let i = 0; i < retries; i++) {
-            try {
-                await this.throttle();
-                const completion = await this.groq.chat.completions.create({
-                    messages: [{ role: "user", content: prompt }],
-                    model: this.modelName
-                });
-                return completion.choices[0]?.message?.content || "No response";
-            } catch (error) {
-                if (error.status === 429 && i < retries - 1) {
-                    const wait = Math.pow(2, i + 1) * 2000;
-                    console.log(`Groq rate limit, waiting ${wait / 1000}s...`);
-                    await new Promise(r => setTimeout(r, wait));
-                    continue;
-                }
-                return `Error: ${error.message}`;
+    /**
+     * Runs one metered call with retries and records its usage.
+     * @param {string} prompt - Used to estimate tokens if the provider reports none
+     * @param {(meter: Object) => Promise<*>} call
+     * @param {Object} options
+     */
+    async invoke(prompt, call, { retries = 3, role = null, fallback = false, canRetry } = {}) {
+        const meter = { retries: 0, usage: null };
+        const started = Date.now();
+        const { value, error } = await this.withRetries(() => call(meter), retries, canRetry, meter);
+
+        const output = typeof value === "string" ? value : JSON.stringify(value ?? "");
+        const promptTokens = meter.usage?.prompt_tokens ?? estimateTokens(prompt);
+        const completionTokens = meter.usage?.completion_tokens ?? (error ? 0 : estimateTokens(output));
+
+        recordUsage({
+            timestamp: new Date().toISOString(),
+            role,
+            provider: this.name,
+            model: this.modelName,
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            estimated: !meter.usage,
+            latency_ms: Date.now() - started,
+            retries: meter.retries,
+            fallback,
+            ok: !error,
+            error: error || null,
+            cost_usd: estimateCost(this.price, promptTokens, completionTokens)
+        });
+        return { value, error };
+    }
+
+    async generateJson(prompt, options = {}) {
+        if (!this.available) return { error: `${this.label} not configured` };
+
+        const { value, error } = await this.invoke(prompt, meter => this.completeJson(prompt, meter), options);
+        if (error) {
+            console.error(`${this.label} Error:`, error);
+            return { error };
+        }
+        return value;
+    }
+
+    async generateText(prompt, options = {}) {
+        if (!this.available) return `Error: ${this.label} not configured`;
+
+        const { value, error } = await this.invoke(prompt, meter => this.completeText(prompt, meter), options);
+        return error ? `Error: ${error}` : value;
+    }
+
+    async generateJsonStream(prompt, onChunk, options = {}) {
+        if (!this.available) return { error: `${this.label} not configured` };
+
+        // Once output has been streamed a retry would duplicate it
+        let emitted = false;
+        const { value, error } = await this.invoke(
+            prompt,
+            meter => this.streamJson(prompt, delta => { emitted = true; onChunk(delta); }, meter),
+            { ...options, canRetry: () => !emitted }
+        );
+        if (error) {
+            console.error(`${this.label} Error:`, error);
+            return { error };
+        }
+        return value;
+    }
+
+    async generateTextStream(prompt, onChunk, options = {}) {
+        if (!this.available) return `Error: ${this.label} not configured`;
+
+        let emitted = false;
+        const { value, error } = await this.invoke(
+            prompt,
+            meter => this.streamText(prompt, delta => { emitted = true; onChunk(delta); }, meter),
+            { ...options, canRetry: () => !emitted }
+        );
+        return error ? `Error: ${error}` : value;
+    }
+
+    // Providers without a native JSON mode get the instruction appended
+    async completeJson(prompt, meter) {
+        return parseJsonText(await this.completeText(prompt + JSON_INSTRUCTION, meter));
+    }
+
+    // Providers without streaming emit the whole completion as one chunk
+    async streamText(prompt, onChunk, meter) {
+        const text = await this.completeText(prompt, meter);
+        onChunk(text);
+        return text;
+    }
+
+    async streamJson(prompt, onChunk, meter) {
+        return parseJsonText(await this.streamText(prompt + JSON_INSTRUCTION, onChunk, meter));
+    }
+}
+
+/** Stores provider-reported token counts on a call's meter. */
+function setUsage(meter, promptTokens, completionTokens) {
+    if (promptTokens == null && completionTokens == null) return;
+    meter.usage = { prompt_tokens: promptTokens ?? 0, completion_tokens: completionTokens ?? 0 };
+}
+
+const JSON_INSTRUCTION = "\n\nRespond ONLY with valid JSON.";
+
+/**
+ * Yields the parsed `data:` payloads of a server-sent event stream
+ * (OpenAI and Anthropic streaming responses).
+ */
+async function* readSseData(stream) {
+    stream.setEncoding("utf8");
+    let buffer = "";
+    for await (const chunk of stream) {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf("\n")) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line.startsWith("data:")) continue;
+            const data = line.slice(5).trim();
+            if (data && data !== "[DONE]") yield JSON.parse(data);
+        }
+    }
+}
+
+export function parseJsonText(text) {
+    const cleaned = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    return JSON.parse(cleaned);
+}
+
+function readApiKey(spec, name) {
+    const envVar = spec.apiKeyEnv;
+    const apiKey = envVar ? process.env[envVar] : null;
+    if (envVar && !apiKey) {
+        console.warn(`WARNING: ${envVar} not found - provider "${name}" disabled`);
+    }
+    return apiKey;
+}
+
+export class GroqLLM extends BaseLLM {
+    constructor(name = "groq", spec = {}) {
+        super({ name, model: "llama-3.3-70b-versatile", minDelay: 1500, ...spec });
+        const apiKey = readApiKey({ apiKeyEnv: "GROQ_API_KEY", ...spec }, name);
+        if (!apiKey) {
+            this.available = false;
+            return;
+        }
+        this.groq = new Groq({ apiKey });
+        console.log(`✓ ${this.label} initialized: ${this.modelName}`);
+    }
+
+    async completeJson(prompt, meter) {
+        const completion = await this.groq.chat.completions.create({
+            messages: [{ role: "user", content: prompt }],
+            model: this.modelName,
+            response_format: { type: "json_object" }
+        });
+        setUsage(meter, completion.usage?.prompt_tokens, completion.usage?.completion_tokens);
+        return JSON.parse(completion.choices[0]?.message?.content || "{}");
+    }
+
+    async completeText(prompt, meter) {
+        const completion = await this.groq.chat.completions.create({
+            messages: [{ role: "user", content: prompt }],
+            model: this.modelName
+        });
+        setUsage(meter, completion.usage?.prompt_tokens, completion.usage?.completion_tokens);
+        return completion.choices[0]?.message?.content || "No response";
+    }
+
+    async streamCompletion(prompt, onChunk, meter, extra = {}) {
+        const stream = await this.groq.chat.completions.create({
+            messages: [{ role: "user", content: prompt }],
+            model: this.modelName,
+            stream: true,
+            ...extra
+        });
+        let text = "";
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onChunk(delta);
             }
+            // Groq reports usage on the final chunk
+            const usage = chunk.x_groq?.usage;
+            if (usage) setUsage(meter, usage.prompt_tokens, usage.completion_tokens);
         }
-        return "Error: Max retries exceeded";
+        return text;
+    }
+
+    async streamText(prompt, onChunk, meter) {
+        return await this.streamCompletion(prompt, onChunk, meter) || "No response";
+    }
+
+    async streamJson(prompt, onChunk, meter) {
+        const text = await this.streamCompletion(prompt, onChunk, meter, { response_format: { type: "json_object" } });
+        return JSON.parse(text || "{}");
     }
 }
 
-export class GeminiLLM {
-    constructor() {
-        const apiKey = process.env.GEMINI_API_KEY;
+export class GeminiLLM extends BaseLLM {
+    constructor(name = "gemini", spec = {}) {
+        // gemini-1.5-flash - better rate limits on free tier
+        super({ name, model: "gemini-1.5-flash", minDelay: 2000, retryDelay: 3000, ...spec });
+        const apiKey = readApiKey({ apiKeyEnv: "GEMINI_API_KEY", ...spec }, name);
         if (!apiKey) {
-            console.warn("WARNING: GEMINI_API_KEY not found");
             this.available = false;
             return;
         }
         this.genAI = new GoogleGenerativeAI(apiKey);
-        // Use gemini-1.5-flash - better rate limits on free tier
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-        this.available = true;
-        this.lastRequestTime = 0;
-        this.minDelay = 2000; // 2 second minimum between requests
-        console.log(`✓ Gemini initialized: gemini-1.5-flash`);
+        this.model = this.genAI.getGenerativeModel({ model: this.modelName });
+        console.log(`✓ ${this.label} initialized: ${this.modelName}`);
+    }
+
+    async completeText(prompt, meter) {
+        const result = await this.model.generateContent(prompt);
+        const usage = result.response.usageMetadata;
+        setUsage(meter, usage?.promptTokenCount, usage?.candidatesTokenCount);
+        return result.response.text();
     }
 
-    async throttle() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        if (timeSinceLastRequest < this.minDelay) {
-            await new Promise(resolve => setTimeout(resolve, this.minDelay - timeSinceLastRequest));
+    async streamText(prompt, onChunk, meter) {
+        const result = await this.model.generateContentStream(prompt);
+        let text = "";
+        for await (const chunk of result.stream) {
+            const delta = chunk.text();
+            if (delta) {
+                text += delta;
+                onChunk(delta);
+            }
         }
-        this.lastRequestTime = Date.now();
+        const usage = (await result.response).usageMetadata;
+        setUsage(meter, usage?.promptTokenCount, usage?.candidatesTokenCount);
+        return text;
     }
+}
 
-    async generateJson(prompt, retries = 3) {
-        if (!this.available) return { error: "Gemini not configured" };
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself,
+ * OpenRouter, vLLM, or a local Ollama / llama.cpp server for offline runs.
+ */
+export class OpenAICompatibleLLM extends BaseLLM {
+    constructor(name = "openai", spec = {}) {
+        super({ name, model: "gpt-4o-mini", ...spec });
+        this.baseUrl = (spec.baseUrl || "https://api.openai.com/v1").replace(/\/$/, "");
+        this.jsonMode = spec.jsonMode !== false;
+        this.timeout = spec.timeout || 120000;
+        // Local servers usually need no key, so apiKeyEnv is optional
+        this.apiKey = readApiKey(spec, name);
+        if (spec.apiKeyEnv && !this.apiKey) {
+            this.available = false;
+            return;
+        }
+        console.log(`✓ ${this.label} initialized: ${this.modelName} @ ${this.baseUrl}`);
+    }
 
-        for (let i = 0; i < retries; i++) {
-            try {
-                await this.throttle();
-                const result = await this.model.generateContent(prompt + "\n\nRespond ONLY with valid JSON.");
-                const text = result.response.text();
-                const cleaned = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-                return JSON.parse(cleaned);
-            } catch (error) {
-                if (error.message?.includes('429') && i < retries - 1) {
-                    const wait = Math.pow(2, i + 1) * 3000;
-                    console.log(`Gemini rate limit, waiting ${wait / 1000}s...`);
-                    await new Promise(r => setTimeout(r, wait));
-                    continue;
-                }
-                console.error("Gemini Error:", error.message);
-                return { error: error.message };
+    async chat(prompt, meter, extra = {}) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`,
+            { model: this.modelName, messages: [{ role: "user", content: prompt }], ...extra },
+            {
+                headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+                timeout: this.timeout
             }
+        );
+        setUsage(meter, response.data.usage?.prompt_tokens, response.data.usage?.completion_tokens);
+        return response.data.choices?.[0]?.message?.content || "";
+    }
+
+    async completeJson(prompt, meter) {
+        if (!this.jsonMode) return super.completeJson(prompt, meter);
+        return parseJsonText(await this.chat(prompt, meter, { response_format: { type: "json_object" } }) || "{}");
+    }
+
+    async completeText(prompt, meter) {
+        return await this.chat(prompt, meter) || "No response";
+    }
+
+    async streamChat(prompt, onChunk, meter, extra = {}) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`,
+            {
+                model: this.modelName,
+                messages: [{ role: "user", content: prompt }],
+                stream: true,
+                stream_options: { include_usage: true },
+                ...extra
+            },
+            {
+                headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+                timeout: this.timeout,
+                responseType: "stream"
+            }
+        );
+        let text = "";
+        for await (const event of readSseData(response.data)) {
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onChunk(delta);
+            }
+            if (event.usage) setUsage(meter, event.usage.prompt_tokens, event.usage.completion_tokens);
         }
-        return { error: "Max retries exceeded" };
+        return text;
+    }
+
+    async streamText(prompt, onChunk, meter) {
+        return await this.streamChat(prompt, onChunk, meter) || "No response";
     }
 
-    async generateText(prompt, retries = 3) {
-        if (!this.available) return "Error: Gemini not configured";
+    async streamJson(prompt, onChunk, meter) {
+        if (!this.jsonMode) return super.streamJson(prompt, onChunk, meter);
+        return parseJsonText(await this.streamChat(prompt, onChunk, meter, { response_format: { type: "json_object" } }) || "{}");
+    }
+}
 
-        for (let i = 0; i < retries; i++) {
-            try {
-                await this.throttle();
-                const result = await this.model.generateContent(prompt);
-                return result.response.text();
-            } catch (error) {
-                if (error.message?.includes('429') && i < retries - 1) {
-                    const wait = Math.pow(2, i + 1) * 3000;
-                    console.log(`Gemini rate limit, waiting ${wait / 1000}s...`);
-                    await new Promise(r => setTimeout(r, wait));
-                    continue;
-                }
-                return `Error: ${error.message}`;
+export class AnthropicLLM extends BaseLLM {
+    constructor(name = "anthropic", spec = {}) {
+        super({ name, model: "claude-3-5-haiku-latest", ...spec });
+        this.maxTokens = spec.maxTokens || 4096;
+        this.apiKey = readApiKey({ apiKeyEnv: "ANTHROPIC_API_KEY", ...spec }, name);
+        if (!this.apiKey) {
+            this.available = false;
+            return;
+        }
+        console.log(`✓ ${this.label} initialized: ${this.modelName}`);
+    }
+
+    async messages(prompt, extra = {}, options = {}) {
+        return await axios.post("https://api.anthropic.com/v1/messages",
+            { model: this.modelName, max_tokens: this.maxTokens, messages: [{ role: "user", content: prompt }], ...extra },
+            {
+                headers: {
+                    "x-api-key": this.apiKey,
+                    "anthropic-version": "2023-06-01",
+                    "Content-Type": "application/json"
+                },
+                timeout: 120000,
+                ...options
+            }
+        );
+    }
+
+    async completeText(prompt, meter) {
+        const response = await this.messages(prompt);
+        setUsage(meter, response.data.usage?.input_tokens, response.data.usage?.output_tokens);
+        return (response.data.content || [])
+            .filter(block => block.type === "text")
+            .map(block => block.text)
+            .join("") || "No response";
+    }
+
+    async streamText(prompt, onChunk, meter) {
+        const response = await this.messages(prompt, { stream: true }, { responseType: "stream" });
+        let text = "";
+        let inputTokens;
+        for await (const event of readSseData(response.data)) {
+            if (event.type === "content_block_delta" && event.delta?.text) {
+                text += event.delta.text;
+                onChunk(event.delta.text);
+            } else if (event.type === "message_start") {
+                inputTokens = event.message?.usage?.input_tokens;
+            } else if (event.type === "message_delta" && event.usage) {
+                setUsage(meter, inputTokens, event.usage.output_tokens);
             }
         }
-        return "Error: Max retries exceeded";
+        return text || "No response";
     }
 }
 
+/** Provider implementations selectable through the `type` field in config. */
+const PROVIDER_TYPES = {
+    groq: GroqLLM,
+    gemini: GeminiLLM,
+    openai: OpenAICompatibleLLM,
+    anthropic: AnthropicLLM
+};
+
+/**
+ * Makes an additional provider implementation available to config.
+ * The class must accept (name, spec) and implement completeText(prompt).
+ */
+export function registerProviderType(type, ProviderClass) {
+    PROVIDER_TYPES[type] = ProviderClass;
+}
+
+/** Agent roles and the fallback chain each one uses when no config file is present. */
+const DEFAULT_CONFIG = {
+    providers: {
+        groq: { type: "groq" },
+        gemini: { type: "gemini" }
+    },
+    roles: {
+        planner: ["groq"],
+        executor: ["groq"],
+        verifier: ["gemini", "groq"],
+        reporter: ["gemini", "groq"]
+    }
+};
+
+const ROLES = Object.keys(DEFAULT_CONFIG.roles);
+
 /**
- * HybridLLM - Routes to best available model with fallback
+ * Price table in USD per million tokens, keyed by model name.
+ * Extend or override it through `prices` in the config file.
+ */
+const DEFAULT_PRICES = {
+    "llama-3.3-70b-versatile": { input: 0.59, output: 0.79 },
+    "gemini-1.5-flash": { input: 0.075, output: 0.30 },
+    "gpt-4o-mini": { input: 0.15, output: 0.60 },
+    "claude-3-5-haiku-latest": { input: 0.80, output: 4.00 }
+};
+
+/**
+ * Loads LLM routing config from LLM_CONFIG (a JSON file path), falling back
+ * to ./llm.config.json and then to the built-in Groq + Gemini setup.
+ */
+export function loadLlmConfig() {
+    const file = process.env.LLM_CONFIG || path.resolve("llm.config.json");
+    if (!fs.existsSync(file)) {
+        if (process.env.LLM_CONFIG) {
+            throw new Error(`LLM_CONFIG file not found: ${file}`);
+        }
+        return { ...DEFAULT_CONFIG, prices: DEFAULT_PRICES };
+    }
+
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    return {
+        providers: config.providers || DEFAULT_CONFIG.providers,
+        roles: { ...DEFAULT_CONFIG.roles, ...config.roles },
+        prices: { ...DEFAULT_PRICES, ...config.prices }
+    };
+}
+
+/**
+ * Routes each agent role to its configured provider chain, falling back
+ * down the chain when a provider is unavailable or returns an error.
  */
 export class LLM {
-    constructor() {
-        this.groq = new GroqLLM();
-        this.gemini = new GeminiLLM();
+    constructor(config = loadLlmConfig()) {
+        this.providers = {};
+        for (const [name, spec] of Object.entries(config.providers)) {
+            const ProviderClass = PROVIDER_TYPES[spec.type];
+            if (!ProviderClass) {
+                throw new Error(`Unknown LLM provider type "${spec.type}" for provider "${name}"`);
+            }
+            this.providers[name] = new ProviderClass(name, spec);
+            this.providers[name].price = config.prices?.[this.providers[name].modelName] || null;
+        }
+
+        this.roles = {};
+        for (const role of ROLES) {
+            const chain = config.roles[role] || [];
+            const unknown = chain.filter(name => !this.providers[name]);
+            if (unknown.length > 0) {
+                throw new Error(`Role "${role}" references unknown provider(s): ${unknown.join(", ")}`);
+            }
+            this.roles[role] = chain;
+        }
+
+        console.log(`\n🔀 LLM Routing Active`);
+        for (const role of ROLES) {
+            console.log(`   ${role}: ${this.roles[role].join(" → ") || "(none)"}`);
+        }
+        console.log("");
+    }
+
+    /** Available providers for a role, in fallback order. */
+    chain(role) {
+        return this.roles[role].map(name => this.providers[name]).filter(p => p.available);
+    }
 
-        console.log(`\n🔀 Hybrid LLM System Active`);
-        console.log(`   Groq: Planning + Execution`);
-        console.log(`   Gemini: Verification + Reports\n`);
+    /** Display label of the provider that will serve a role first, e.g. "Groq". */
+    label(role) {
+        return this.chain(role)[0]?.label || "LLM";
     }
 
-    // For planning - use Groq
+    /**
+     * @param {string} role
+     * @param {"json"|"text"} kind
+     * @param {string} prompt
+     * @param {{ onChunk: (delta: string) => void, onReset?: () => void }} [stream]
+     *   Streams raw output deltas. onReset fires before a fallback provider
+     *   starts over, so consumers can discard a failed provider's partial output.
+     */
+    async route(role, kind, prompt, stream = null) {
+        const providers = this.chain(role);
+        if (providers.length === 0) {
+            const message = `No available LLM provider for ${role}`;
+            return kind === "json" ? { error: message } : `Error: ${message}`;
+        }
+
+        let result;
+        for (const [i, provider] of providers.entries()) {
+            console.log(`${i === 0 ? "🤖" : "↪️"} [${provider.label.toUpperCase()}] ${role}${i === 0 ? "" : " (fallback)"}...`);
+            if (i > 0) stream?.onReset?.();
+
+            const options = { role, fallback: i > 0 };
+            if (kind === "json") {
+                result = stream
+                    ? await provider.generateJsonStream(prompt, stream.onChunk, options)
+                    : await provider.generateJson(prompt, options);
+                if (!result.error) return result;
+            } else {
+                result = stream
+                    ? await provider.generateTextStream(prompt, stream.onChunk, options)
+                    : await provider.generateText(prompt, options);
+                if (!result.startsWith("Error:")) return result;
+            }
+        }
+        return result;
+    }
+
+    // For planning
     async plan(prompt) {
-        console.log("📋 [GROQ] Planning...");
-        return await this.groq.generateJson(prompt);
+        return await this.route("planner", "json", prompt);
     }
 
-    // For step execution - use Groq
+    // For step execution
     async execute(prompt) {
-        console.log("⚡ [GROQ] Executing...");
-        return await this.groq.generateText(prompt);
+        return await this.route("executor", "text", prompt);
     }
 
-    // For verification - try Gemini, fallback to Groq
-    async verify(prompt) {
-        if (this.gemini.available) {
-            console.log("🔍 [GEMINI] Verifying...");
-            const result = await this.gemini.generateJson(prompt);
-            if (!result.error) return result;
-            console.log("🔍 [GROQ] Fallback...");
-        }
-        return await this.groq.generateJson(prompt);
+    // For verification
+    async verify(prompt, stream = null) {
+        return await this.route("verifier", "json", prompt, stream);
     }
 
-    // For final reports - try Gemini, fallback to Groq
-    async synthesize(prompt) {
-        if (this.gemini.available) {
-            console.log("📝 [GEMINI] Synthesizing...");
-            const result = await this.gemini.generateText(prompt);
-            if (!result.startsWith("Error:")) return result;
-            console.log("📝 [GROQ] Fallback...");
-        }
-        return await this.groq.generateText(prompt);
+    // For final reports
+    async synthesize(prompt, stream = null) {
+        return await this.route("reporter", "text", prompt, stream);
     }
 
     // Legacy
     async generateJson(prompt) {
-        return await this.groq.generateJson(prompt);
+        return await this.route("executor", "json", prompt);
     }
 
     async generateText(prompt) {
-        return await this.groq.generateText(prompt);
+        return await this.route("executor", "text", prompt);
     }
 }
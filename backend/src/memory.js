@@ -1,15 +1,16 @@
 import { v4 as uuidv4 } from 'uuid';
 
 export class Step {
-    constructor({ step_id, description, tool, params = {}, dependencies = [], status = "pending", result = null, uncertainty_level = "low" }) {
+    constructor({ step_id, description, tool, params = {}, dependencies = [], status = "pending", result = null, uncertainty_level = "low", metadata = null }) {
         this.step_id = step_id;
         this.description = description;
         this.tool = tool;
         this.params = params;
-        this.dependencies = dependencies;
+        this.dependencies = dependencies || [];
         this.status = status;
         this.result = result;
         this.uncertainty_level = uncertainty_level;
+        this.metadata = metadata; // Tool-specific details about the result, e.g. page metadata for scrape_url
     }
 }
 
@@ -28,14 +29,45 @@ export class LogEntry {
     }
 }
 
+export const JOB_STATUSES = ["queued", "awaiting_answers", "planning", "awaiting_approval", "executing", "verifying", "writing", "completed", "failed", "paused", "cancelled", "interrupted"];
+
 export class JobState {
-    constructor({ job_id, topic }) {
+    constructor({ job_id, topic, corpus = null, template = "standard", clarify = false, review_plan = false }) {
         this.job_id = job_id;
         this.topic = topic;
-        this.status = "queued"; // queued, planning, executing, verifying, completed, failed
+        this.corpus = corpus;  // ID of an attached document corpus, see tools/corpus.js
+        this.template = template;  // Report template ID, see agent/templates.js
+        this.clarify = clarify;    // Ask clarifying questions before planning
+        this.clarifications = [];  // { question, answer } pairs; answer is null when skipped
+        this.review_plan = review_plan;  // Wait for plans to be approved before executing them
+        this.status = "queued"; // see JOB_STATUSES
         this.plan = null;
         this.logs = [];
         this.final_report = null;
+        this.report_info = null; // { stage, template, verified, score, research_passed, research_score, stopped_by }
+        this.budget = null;      // Depth and limits, see agent/budget.js
+        this.search_calls = 0;   // Web searches made, counted against budget.max_searches
+        this.sources = []; // Source registry entries, see agent/sources.js
+        this.claims = [];  // Fact-checked claims of the final report, see agent/claims.js
+        this.usage = [];   // One record per LLM call, see usage.js
         this.created_at = new Date().toISOString();
     }
+
+    // Rebuild a job (and its Plan/Step/LogEntry objects) from a persisted record
+    static fromJSON(data) {
+        const job = new JobState({ job_id: data.job_id, topic: data.topic, corpus: data.corpus ?? null, template: data.template ?? "standard", clarify: data.clarify ?? false, review_plan: data.review_plan ?? false });
+        job.status = data.status || job.status;
+        job.plan = data.plan ? new Plan(data.plan) : null;
+        job.logs = (data.logs || []).map(l => new LogEntry(l));
+        job.final_report = data.final_report ?? null;
+        job.report_info = data.report_info ?? null;
+        job.clarifications = data.clarifications || [];
+        job.budget = data.budget ?? null;
+        job.search_calls = data.search_calls || 0;
+        job.sources = data.sources || [];
+        job.claims = data.claims || [];
+        job.usage = data.usage || [];
+        job.created_at = data.created_at || job.created_at;
+        return job;
+    }
 }
@@ -6,7 +6,18 @@
 
 import express from 'express';
 import cors from 'cors';
+import path from 'path';
 import { Controller } from './agent/controller.js';
+import { LLM } from './llm.js';
+import { RecordedLLM, installHttpFixtures } from './testing/fixtures.js';
+import { JOB_STATUSES } from './memory.js';
+import { summarizeUsage } from './usage.js';
+import { summarizeClaims } from './agent/claims.js';
+import { DEFAULT_TEMPLATE } from './agent/templates.js';
+import { resolveBudget, budgetUsed, DEPTHS, DEFAULT_DEPTH } from './agent/budget.js';
+import { CorpusLibrary, SUPPORTED_EXTENSIONS } from './tools/corpus.js';
+import { responseCache } from './tools/cache.js';
+import { searchQuota } from './tools/quota.js';
 
 /** @type {import('express').Express} */
 const app = express();
@@ -14,13 +25,29 @@ const port = 8000;
 
 app.use(cors({
     origin: 'https://new-gemini-nine.vercel.app',
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type']
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 app.use(express.json());
 
-const controller = new Controller();
+// FIXTURE_MODE=record captures every LLM and HTTP response; replay serves
+// them back so a recorded session runs offline and deterministically
+const fixtureMode = process.env.FIXTURE_MODE;
+let llm;
+if (fixtureMode === 'record' || fixtureMode === 'replay') {
+    const dir = process.env.FIXTURE_DIR || './fixtures';
+    installHttpFixtures({ file: `${dir}/http.json`, mode: fixtureMode });
+    llm = new RecordedLLM({
+        file: `${dir}/llm.json`,
+        mode: fixtureMode,
+        llm: fixtureMode === 'record' ? new LLM() : null
+    });
+    console.log(`🎞️  Fixture mode: ${fixtureMode} (${dir})`);
+}
+
+const controller = new Controller({ llm });
+await controller.restore();
 
 // Health Check
 app.get('/health', (req, res) => {
@@ -28,19 +55,62 @@ app.get('/health', (req, res) => {
 });
 
 // Create Job
-app.post('/api/v1/jobs', (req, res) => {
+app.post('/api/v1/jobs', async (req, res) => {
     try {
-        const { topic } = req.body;
+        const { topic, corpus = null, template = DEFAULT_TEMPLATE, depth, max_steps, max_searches, max_tokens, max_minutes, clarify = false, review_plan = false } = req.body;
         if (!topic) {
             return res.status(400).json({ error: 'Topic is required' });
         }
-        const jobId = controller.createJob(topic);
+        if (corpus !== null && !(await controller.corpora.exists(corpus))) {
+            return res.status(400).json({ error: `Unknown corpus: ${corpus}` });
+        }
+        if (!(await controller.templates.get(template))) {
+            return res.status(400).json({ error: `Unknown report template: ${template}` });
+        }
+        if (typeof clarify !== 'boolean' || typeof review_plan !== 'boolean') {
+            return res.status(400).json({ error: 'clarify and review_plan must be true or false' });
+        }
+        const { budget, error } = resolveBudget({ depth, max_steps, max_searches, max_tokens, max_minutes });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const jobId = controller.createJob(topic, { corpus, template, budget, clarify, reviewPlan: review_plan });
         res.json({ job_id: jobId, status: 'queued' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// List Jobs
+app.get('/api/v1/jobs', (req, res) => {
+    const { status, q, from, to } = req.query;
+
+    const statuses = status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : [];
+    const unknown = statuses.filter(s => !JOB_STATUSES.includes(s));
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown status: ${unknown.join(', ')}` });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ error: 'from/to must be valid dates' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { total, jobs } = controller.listJobs({
+        statuses,
+        search: q ? String(q) : '',
+        from: fromDate,
+        to: toDate,
+        limit,
+        offset
+    });
+    res.json({ jobs, total, limit, offset });
+});
+
 // Get Job Status
 app.get('/api/v1/jobs/:jobId', (req, res) => {
     const job = controller.getJob(req.params.jobId);
@@ -52,10 +122,203 @@ app.get('/api/v1/jobs/:jobId', (req, res) => {
         status: job.status,
         plan: job.plan,
         logs: job.logs,
-        final_report: job.final_report
+        final_report: job.final_report,
+        report_info: job.report_info,
+        corpus: job.corpus,
+        template: job.template,
+        clarifications: job.clarifications,
+        budget: job.budget,
+        budget_used: job.budget ? budgetUsed(job) : null,
+        sources: job.sources,
+        claims: job.claims,
+        claim_summary: summarizeClaims(job.claims),
+        usage: { ...summarizeUsage(job.usage), calls: job.usage }
+    });
+});
+
+// Cancel / Pause / Resume
+const jobActions = {
+    cancel: (jobId) => controller.cancelJob(jobId),
+    pause: (jobId) => controller.pauseJob(jobId),
+    resume: (jobId) => controller.resumeJob(jobId)
+};
+
+app.post('/api/v1/jobs/:jobId/:action(cancel|pause|resume)', async (req, res) => {
+    const { jobId, action } = req.params;
+    if (!controller.getJob(jobId)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    const result = await jobActions[action](jobId);
+    if (result.error) {
+        return res.status(409).json({ error: result.error });
+    }
+    res.json({ job_id: jobId, status: result.status });
+});
+
+// Answer clarifying questions
+app.post('/api/v1/jobs/:jobId/answers', (req, res) => {
+    const { jobId } = req.params;
+    if (!controller.getJob(jobId)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    const { answers } = req.body;
+    if (!Array.isArray(answers) || !answers.every(a => a === null || typeof a === 'string')) {
+        return res.status(400).json({ error: 'answers must be an array of strings, one per question' });
+    }
+    const result = controller.answerQuestions(jobId, answers);
+    if (result.error) {
+        return res.status(409).json({ error: result.error });
+    }
+    res.json({ job_id: jobId, status: result.status });
+});
+
+// Approve (and optionally edit) the plan of a job awaiting approval
+app.put('/api/v1/jobs/:jobId/plan', (req, res) => {
+    const { jobId } = req.params;
+    if (!controller.getJob(jobId)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    const result = controller.approvePlan(jobId, req.body);
+    if (result.error) {
+        return res.status(result.errors ? 400 : 409).json(result);
+    }
+    res.json({ job_id: jobId, status: result.status });
+});
+
+// Report Templates
+app.get('/api/v1/templates', async (req, res) => {
+    try {
+        res.json({ templates: await controller.templates.list() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Research depth presets and their default limits
+app.get('/api/v1/depths', (req, res) => {
+    res.json({
+        default: DEFAULT_DEPTH,
+        depths: Object.entries(DEPTHS).map(([id, preset]) => ({ id, ...preset }))
     });
 });
 
+// Document Corpora
+app.get('/api/v1/corpora', async (req, res) => {
+    try {
+        res.json({ corpora: await controller.corpora.list() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/v1/corpora/:corpusId', async (req, res) => {
+    const { corpusId } = req.params;
+    if (!(await controller.corpora.exists(corpusId))) {
+        return res.status(404).json({ error: 'Corpus not found' });
+    }
+    res.json((await controller.corpora.open(corpusId)).describe());
+});
+
+// Upload one document as the raw request body: POST ...?filename=report.pdf
+app.post('/api/v1/corpora/:corpusId/documents', express.raw({ type: () => true, limit: '25mb' }), async (req, res) => {
+    const { corpusId } = req.params;
+    const filename = String(req.query.filename || '');
+
+    if (!CorpusLibrary.isValidId(corpusId)) {
+        return res.status(400).json({ error: 'Corpus ID may only contain letters, digits, "-" and "_"' });
+    }
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+        return res.status(400).json({ error: `filename must end in one of ${SUPPORTED_EXTENSIONS.join(', ')}` });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Request body must contain the file' });
+    }
+
+    try {
+        const corpus = await controller.corpora.open(corpusId);
+        const result = await corpus.addDocument(filename, req.body);
+        if (result.error) {
+            // Don't keep a file the corpus can't search
+            await corpus.removeDocument(result.file);
+            return res.status(422).json({ error: result.error });
+        }
+        res.json({ corpus_id: corpusId, document: result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Admin: HTTP/search cache and search quotas. Disabled unless ADMIN_TOKEN is set; requests
+// then need `Authorization: Bearer <token>`.
+app.use('/api/v1/admin', (req, res, next) => {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        return res.status(403).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+    }
+    if (req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+});
+
+app.get('/api/v1/admin/search-quota', (req, res) => {
+    res.json({ providers: searchQuota.snapshot() });
+});
+
+app.use('/api/v1/admin/cache', (req, res, next) => {
+    if (!responseCache) {
+        return res.status(404).json({ error: 'Cache is disabled (HTTP_CACHE=off)' });
+    }
+    next();
+});
+
+const describeEntry = (entry) => ({
+    key: entry.key,
+    kind: entry.kind,
+    label: entry.label,
+    provider: entry.provider,
+    created_at: entry.created_at,
+    expires_at: new Date(entry.expires_at).toISOString(),
+    stale: entry.expires_at <= Date.now(),
+    hits: entry.hits,
+    etag: entry.etag,
+    last_modified: entry.last_modified
+});
+
+app.get('/api/v1/admin/cache', async (req, res) => {
+    const { kind, q } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const offset = Number(req.query.offset) || 0;
+
+    await responseCache.load();
+    const entries = responseCache.list({ kind, q });
+    res.json({
+        total: entries.length,
+        hits: entries.reduce((sum, e) => sum + e.hits, 0),
+        entries: entries.slice(offset, offset + limit).map(describeEntry),
+        limit,
+        offset
+    });
+});
+
+app.get('/api/v1/admin/cache/:key', async (req, res) => {
+    const entry = await responseCache.get(req.params.key);
+    if (!entry) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ ...describeEntry(entry), value: entry.value });
+});
+
+// DELETE /cache/:key purges one entry; DELETE /cache?kind=&q= purges matches (everything without filters)
+app.delete('/api/v1/admin/cache/:key?', async (req, res) => {
+    const { key } = req.params;
+    const purged = await responseCache.purge(key ? { key } : { kind: req.query.kind, q: req.query.q });
+    if (key && purged === 0) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ purged });
+});
+
 // SSE Stream
 app.get('/api/v1/jobs/:jobId/events', (req, res) => {
     const jobId = req.params.jobId;
@@ -73,12 +336,26 @@ app.get('/api/v1/jobs/:jobId/events', (req, res) => {
     });
 
     // Send initial history
+    res.write(`event: status\ndata: ${JSON.stringify({ status: job.status })}\n\n`);
     job.logs.forEach(log => {
         res.write(`event: log\ndata: ${JSON.stringify(log)}\n\n`);
     });
 
+    if (job.usage.length > 0) {
+        res.write(`event: usage\ndata: ${JSON.stringify({ summary: summarizeUsage(job.usage) })}\n\n`);
+    }
+
+    if (job.status === 'awaiting_answers') {
+        res.write(`event: clarification_needed\ndata: ${JSON.stringify({ questions: job.clarifications.map(c => c.question) })}\n\n`);
+    }
+
+    if (job.status === 'awaiting_approval') {
+        const tools = controller.tools.forJob(job).describe();
+        res.write(`event: plan_review\ndata: ${JSON.stringify({ plan: job.plan, tools })}\n\n`);
+    }
+
     if (job.status === 'completed' && job.final_report) {
-        res.write(`event: result\ndata: ${JSON.stringify({ report: job.final_report })}\n\n`);
+        res.write(`event: result\ndata: ${JSON.stringify({ report: job.final_report, sources: job.sources, claims: job.claims, report_info: job.report_info })}\n\n`);
     }
 
     // Subscribe for new events
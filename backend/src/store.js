@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Persistence layer for research jobs.
+ * Stores JobState records (plans, step results, logs and reports) so they
+ * survive a backend restart. Stores share a small async interface:
+ * `loadAll()`, `save(job)` and `remove(jobId)`.
+ * @module store
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Volatile store - keeps nothing across restarts.
+ * Useful for tests and throwaway deployments.
+ */
+export class MemoryStore {
+    constructor() {
+        this.records = {};
+    }
+
+    async loadAll() {
+        return Object.values(this.records).map(r => JSON.parse(r));
+    }
+
+    async save(job) {
+        this.records[job.job_id] = JSON.stringify(job);
+    }
+
+    async remove(jobId) {
+        delete this.records[jobId];
+    }
+}
+
+/**
+ * File-backed store - one JSON document per job.
+ * Writes go to a temp file and are renamed into place so a crash
+ * mid-write never leaves a truncated record behind.
+ */
+export class FileStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.pending = {};
+    }
+
+    fileFor(jobId) {
+        return path.join(this.dir, `${jobId}.json`);
+    }
+
+    async loadAll() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+        const records = [];
+
+        for (const file of files) {
+            try {
+                const raw = await fs.readFile(path.join(this.dir, file), 'utf8');
+                records.push(JSON.parse(raw));
+            } catch (error) {
+                console.error(`Store: skipping unreadable record ${file}:`, error.message);
+            }
+        }
+        return records;
+    }
+
+    async save(job) {
+        const snapshot = JSON.stringify(job, null, 2);
+        const jobId = job.job_id;
+
+        // Serialize writes per job so an older snapshot never lands last
+        const previous = this.pending[jobId] || Promise.resolve();
+        const write = previous.then(async () => {
+            await fs.mkdir(this.dir, { recursive: true });
+            const target = this.fileFor(jobId);
+            const temp = `${target}.tmp`;
+            await fs.writeFile(temp, snapshot, 'utf8');
+            await fs.rename(temp, target);
+        }).catch(error => {
+            console.error(`Store: failed to save job ${jobId}:`, error.message);
+        });
+
+        this.pending[jobId] = write;
+        await write;
+        if (this.pending[jobId] === write) {
+            delete this.pending[jobId];
+        }
+    }
+
+    async remove(jobId) {
+        await this.pending[jobId];
+        await fs.rm(this.fileFor(jobId), { force: true });
+    }
+}
+
+/**
+ * Builds the store selected by the environment:
+ * - JOB_STORE=memory disables persistence
+ * - JOB_STORE=file (default) writes to JOB_STORE_DIR (default ./data/jobs)
+ */
+export function createStore() {
+    const kind = process.env.JOB_STORE || 'file';
+    if (kind === 'memory') {
+        return new MemoryStore();
+    }
+    return new FileStore(process.env.JOB_STORE_DIR || path.resolve('data', 'jobs'));
+}
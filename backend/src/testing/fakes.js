@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Deterministic stand-ins for the LLM and search backends.
+ * Inject them into Controller to exercise the whole Plan-Execute-Verify
+ * loop without network access.
+ * @module testing/fakes
+ */
+
+import { SearchResponse, ScrapedPage } from '../tools/results.js';
+import { recordUsage, estimateTokens } from '../usage.js';
+
+const ROLE_KINDS = { planner: "json", executor: "text", verifier: "json", reporter: "text" };
+
+/**
+ * Scripted LLM. Each role takes either a list of responses (consumed in
+ * order, the last one repeating) or a function `(prompt, callIndex) => response`.
+ *
+ * @example
+ * new FakeLLM({
+ *     planner: [{ reasoning: "...", steps: [...] }],
+ *     executor: (prompt) => "Extracted facts",
+ *     verifier: (prompt) => prompt.includes("DRAFT REPORT")
+ *         ? { status: "pass", quality_score: 80, claims: [] }
+ *         : { status: "pass", quality_score: 75 },
+ *     reporter: (prompt) => prompt.includes("Outline") ? '{"title": "Report", "sections": []}' : "Section text [1]"
+ * })
+ */
+export class FakeLLM {
+    constructor(responses = {}) {
+        this.responses = responses;
+        this.calls = [];  // { role, prompt } for assertions
+    }
+
+    label() {
+        return "Fake";
+    }
+
+    async respond(role, prompt, stream = null) {
+        const index = this.calls.filter(c => c.role === role).length;
+        this.calls.push({ role, prompt });
+
+        const script = this.responses[role];
+        let response;
+        if (typeof script === "function") {
+            response = await script(prompt, index);
+        } else if (Array.isArray(script) && script.length > 0) {
+            response = script[Math.min(index, script.length - 1)];
+        } else {
+            response = ROLE_KINDS[role] === "json" ? { error: `No fake response for ${role}` } : `Error: No fake response for ${role}`;
+        }
+
+        const text = typeof response === "string" ? response : JSON.stringify(response);
+        if (stream) stream.onChunk(text);
+
+        recordUsage({
+            timestamp: new Date().toISOString(),
+            role,
+            provider: "fake",
+            model: "fake",
+            prompt_tokens: estimateTokens(prompt),
+            completion_tokens: estimateTokens(text),
+            estimated: true,
+            latency_ms: 0,
+            retries: 0,
+            fallback: false,
+            ok: !response?.error && !String(response).startsWith("Error:"),
+            error: null,
+            cost_usd: 0
+        });
+        // Hand out copies so callers mutating results can't alter the script
+        return typeof response === "string" ? response : structuredClone(response);
+    }
+
+    async plan(prompt) {
+        return await this.respond("planner", prompt);
+    }
+
+    async execute(prompt) {
+        return await this.respond("executor", prompt);
+    }
+
+    async verify(prompt, stream = null) {
+        return await this.respond("verifier", prompt, stream);
+    }
+
+    async synthesize(prompt, stream = null) {
+        return await this.respond("reporter", prompt, stream);
+    }
+}
+
+/**
+ * In-memory search backend with the SearchTools interface.
+ * @param {Object} data
+ * @param {Object<string, Object[]>} [data.results] - query -> raw results ({ title, url, snippet })
+ * @param {Object<string, string|Object>} [data.pages] - url -> page text, or ScrapedPage fields
+ */
+export class FakeSearchTools {
+    constructor({ results = {}, pages = {} } = {}) {
+        this.results = results;
+        this.pages = pages;
+        this.queries = [];
+        this.scraped = [];
+    }
+
+    async webSearch(query, maxResults = 5) {
+        this.queries.push(query);
+        const hits = (this.results[query] || this.results["*"] || []).slice(0, maxResults);
+        return new SearchResponse({
+            query,
+            provider: "fake",
+            results: hits.map((r, i) => ({ snippet: "", ...r, provider: "fake", rank: i + 1 }))
+        });
+    }
+
+    async scrapeUrl(url) {
+        this.scraped.push(url);
+        const page = this.pages[url];
+        if (page === undefined) {
+            return new ScrapedPage({ url, error: `no fake page for ${url}` });
+        }
+        return new ScrapedPage(typeof page === "string" ? { url, content_type: "text/html", text: page } : { url, ...page });
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Record/replay fixtures for LLM calls and outbound HTTP.
+ * Record a run once against the real services, then replay it offline
+ * and byte-for-byte deterministically.
+ * @module testing/fixtures
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { usageScope, recordUsage } from '../usage.js';
+
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g;
+
+/**
+ * Hashes a request into a fixture key. Timestamps are masked so prompts that
+ * embed the current time still match on replay.
+ */
+function fixtureKey(...parts) {
+    const text = parts
+        .map(part => typeof part === 'string' ? part : JSON.stringify(part ?? null))
+        .join('\n')
+        .replace(ISO_TIMESTAMP, '<time>');
+    return crypto.createHash('sha256').update(text).digest('hex').substring(0, 16);
+}
+
+/**
+ * A JSON file of key -> recorded entry. Written after every new recording
+ * so an interrupted run still keeps what it captured.
+ */
+class FixtureFile {
+    constructor(file) {
+        this.file = file;
+        this.entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+
+    get(key) {
+        return this.entries[key];
+    }
+
+    set(key, entry) {
+        this.entries[key] = entry;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.entries, null, 2));
+    }
+}
+
+/**
+ * Wraps an LLM with record/replay behaviour.
+ * - record: calls through to `llm` and saves every response together with
+ *   the usage records the call produced
+ * - replay: answers from the fixture file only; a missing entry is an error
+ *   response, never a network call. Saved usage is recorded again, so
+ *   replayed jobs show the same token counts and cost and spend the same
+ *   token budget as the recorded run
+ */
+export class RecordedLLM {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Fixture file path
+     * @param {'record'|'replay'} options.mode
+     * @param {import('../llm.js').LLM} [options.llm] - Required when recording
+     */
+    constructor({ file, mode, llm = null }) {
+        if (mode === 'record' && !llm) {
+            throw new Error('RecordedLLM needs a real llm to record from');
+        }
+        this.fixtures = new FixtureFile(file);
+        this.mode = mode;
+        this.llm = llm;
+    }
+
+    label(role) {
+        return this.mode === 'record' ? this.llm.label(role) : 'Replay';
+    }
+
+    async call(role, method, prompt, stream = null) {
+        const key = `${role}:${fixtureKey(prompt)}`;
+
+        if (this.mode === 'replay') {
+            const entry = this.fixtures.get(key);
+            if (!entry) {
+                const message = `No recorded ${role} response for this prompt (${key})`;
+                return method === 'plan' || method === 'verify' ? { error: message } : `Error: ${message}`;
+            }
+            if (stream && entry.streamed) stream.onChunk(entry.streamed);
+            for (const record of entry.usage || []) {
+                recordUsage({ ...record, timestamp: new Date().toISOString() });
+            }
+            return entry.response;
+        }
+
+        // Capture what was streamed so replays show the same draft
+        let streamed = '';
+        const tee = stream ? {
+            onChunk: (delta) => { streamed += delta; stream.onChunk(delta); },
+            onReset: () => { streamed = ''; stream.onReset?.(); }
+        } : null;
+
+        // Capture the call's usage on its way to the job's scope
+        const usage = [];
+        const parent = usageScope.getStore();
+        const onUsage = (record) => { usage.push(record); parent?.onUsage(record); };
+
+        const response = await usageScope.run({ onUsage }, () => this.llm[method](prompt, tee));
+        this.fixtures.set(key, { role, response, usage, ...(streamed && { streamed }) });
+        return response;
+    }
+
+    async plan(prompt) {
+        return await this.call('planner', 'plan', prompt);
+    }
+
+    async execute(prompt) {
+        return await this.call('executor', 'execute', prompt);
+    }
+
+    async verify(prompt, stream = null) {
+        return await this.call('verifier', 'verify', prompt, stream);
+    }
+
+    async synthesize(prompt, stream = null) {
+        return await this.call('reporter', 'synthesize', prompt, stream);
+    }
+}
+
+function toStoredData(data) {
+    if (Buffer.isBuffer(data)) return { base64: data.toString('base64') };
+    return { text: typeof data === 'string' ? data : JSON.stringify(data) };
+}
+
+function fromStoredData(stored) {
+    return stored.base64 !== undefined ? Buffer.from(stored.base64, 'base64') : stored.text;
+}
+
+/**
+ * Installs an axios adapter on the default instance that records or replays
+ * every HTTP response (search APIs, DuckDuckGo, page scrapes).
+ * Streaming responses are not supported.
+ * @param {Object} options
+ * @param {string} options.file - Fixture file path
+ * @param {'record'|'replay'} options.mode
+ * @returns {() => void} Restores the previous adapter
+ */
+export function installHttpFixtures({ file, mode }) {
+    const fixtures = new FixtureFile(file);
+    const previous = axios.defaults.adapter;
+    const network = axios.getAdapter(previous);
+
+    axios.defaults.adapter = async (config) => {
+        const url = axios.getUri(config);
+        const key = fixtureKey(config.method, url, config.data);
+
+        if (mode === 'replay') {
+            const entry = fixtures.get(key);
+            if (!entry) {
+                const error = new Error(`No recorded response for ${config.method.toUpperCase()} ${url}`);
+                error.code = 'ERR_NO_FIXTURE';
+                error.config = config;
+                throw error;
+            }
+            const response = {
+                data: fromStoredData(entry.data),
+                status: entry.status,
+                statusText: entry.statusText,
+                headers: entry.headers,
+                config,
+                request: {}
+            };
+            // Mirror axios' own status handling so error paths replay too
+            if (config.validateStatus && !config.validateStatus(response.status)) {
+                throw new axios.AxiosError(`Request failed with status code ${response.status}`,
+                    axios.AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+            }
+            return response;
+        }
+
+        const record = (response) => fixtures.set(key, {
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: { ...response.headers },
+            data: toStoredData(response.data)
+        });
+
+        try {
+            const response = await network(config);
+            record(response);
+            return response;
+        } catch (error) {
+            if (error.response) record(error.response);
+            throw error;
+        }
+    };
+
+    return () => { axios.defaults.adapter = previous; };
+}
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Drives Controller jobs from tests: starts a job, records
+ * every SSE event it sends from the first one on and resolves once runJob
+ * has returned, so assertions never race the job's last log line.
+ * @module testing/jobs
+ */
+
+/**
+ * Parses one SSE frame as written by Controller.notifySubscribers.
+ * @returns {{ event: string, data: Object }}
+ */
+export function parseEvent(payload) {
+    const match = payload.match(/^event: (.+)\ndata: (.*)\n\n$/);
+    if (!match) {
+        throw new Error(`Malformed SSE frame: ${JSON.stringify(payload)}`);
+    }
+    return { event: match[1], data: JSON.parse(match[2]) };
+}
+
+/**
+ * Starts a job like createJob(), subscribing before the job emits anything.
+ * @param {import('../agent/controller.js').Controller} controller
+ * @param {string} topic
+ * @param {Object} [options] - createJob() options
+ * @returns {{ jobId: string, events: { event: string, data: Object }[],
+ *   done: Promise<import('../memory.js').JobState> }}
+ */
+export function startJob(controller, topic, options = {}) {
+    const events = [];
+    const runJob = controller.runJob;
+    let run;
+
+    controller.runJob = (jobId) => {
+        controller.runJob = runJob;
+        controller.subscribe(jobId, { write: (payload) => events.push(parseEvent(payload)) });
+        run = runJob.call(controller, jobId);
+        return run;
+    };
+    const jobId = controller.createJob(topic, options);
+    return { jobId, events, done: run.then(() => controller.getJob(jobId)) };
+}
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Minimum spacing between calls to a rate-limited service.
+ * Used for LLM providers and search providers, whose calls come from steps
+ * running concurrently.
+ * @module throttle
+ */
+
+export class Throttle {
+    /**
+     * @param {number} minDelay - Minimum gap between call starts, in ms
+     */
+    constructor(minDelay) {
+        this.minDelay = minDelay;
+        this.lastStart = 0;
+    }
+
+    /**
+     * Resolves when the caller may start its call. The slot is reserved
+     * before waiting, so concurrent callers queue up in order instead of
+     * all firing once the first wait ends.
+     */
+    async wait() {
+        const now = Date.now();
+        const slot = Math.max(now, this.lastStart + this.minDelay);
+        this.lastStart = slot;
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Built-in research tools: web search, page scraping, local
+ * document search and analysis.
+ * @module tools/builtin
+ */
+
+import { noCorpusResponse } from './corpus.js';
+import { refineSearch } from './refine.js';
+
+// Top search hits each web_search step reads in full; 0 keeps steps to snippets
+const AUTO_SCRAPE_TOP = Number(process.env.AUTO_SCRAPE_TOP ?? 0);
+
+/**
+ * Extracts what the step needs from a scraped page.
+ * @param {import('./results.js').ScrapedPage} page
+ */
+async function extractFacts(page, { step, llm }) {
+    const { title, author, published, url } = page;
+    const analysisPrompt = `
+            SYSTEM: Extract specific information from this content.
+            TASK: ${step.description}
+            PAGE: ${title || url}${author ? ` by ${author}` : ""}${published ? ` (published ${published})` : ""}
+            SOURCE:
+            ${page.text.substring(0, 12000)}
+
+            Extract key facts with sources. Output NOT_FOUND if unavailable.
+            `;
+    // Executor role for fast extraction
+    return await llm.execute(analysisPrompt);
+}
+
+/**
+ * Scrapes the top web hits of a search step and extracts step-relevant facts
+ * from each, so later steps work from page content rather than snippets.
+ * Results come ranked most relevant first (see refineSearch).
+ * @param {import('./results.js').SearchResponse} response
+ * @param {import('./registry.js').ToolContext} ctx
+ * @returns {Promise<Object[]>} `{ url, title, author, published, facts }` per page that had facts
+ */
+async function readTopHits(response, ctx) {
+    const urls = response.results
+        .map(r => r.url)
+        .filter(url => /^https?:\/\//i.test(url))
+        .slice(0, AUTO_SCRAPE_TOP);
+    if (urls.length === 0) return [];
+
+    await ctx.log(`📄 ${ctx.step.step_id}: reading top ${urls.length} hit(s): ${urls.join(", ")}`);
+    const pages = await Promise.all(urls.map(async (url) => {
+        const page = await ctx.search.scrapeUrl(url);
+        if (!page.ok) return null;
+        const facts = await extractFacts(page, ctx);
+        if (facts.startsWith("Error:") || facts.includes("NOT_FOUND")) return null;
+        return {
+            url: page.canonical_url || url,
+            title: page.title,
+            author: page.author,
+            published: page.published,
+            facts
+        };
+    }));
+    const read = pages.filter(Boolean);
+    if (read.length < urls.length) {
+        await ctx.log(`📄 ${ctx.step.step_id}: ${urls.length - read.length} hit(s) unreadable or irrelevant`, "warning");
+    }
+    return read;
+}
+
+async function analyze({ step, context, llm }) {
+    const analysisPrompt = `
+        SYSTEM: Expert Research Analyst.
+        TASK: ${step.description}
+
+        CONTEXT: ${context}
+
+        Provide evidence-backed analysis with specific data points.
+        Be comprehensive but concise.
+        `;
+
+    // Executor role for fast analysis
+    return await llm.execute(analysisPrompt);
+}
+
+/** @type {import('./registry.js').ToolSpec[]} */
+export const BUILTIN_TOOLS = [
+    {
+        name: "web_search",
+        description: "Search the web for facts. Use short KEYWORD-BASED queries. " +
+            "Thin results are followed up with refined queries automatically.",
+        params: {
+            query: { type: "string", description: "keyword search query", required: true }
+        },
+        handler: async ({ query }, ctx) => {
+            const response = await refineSearch(query, ctx);
+            if (AUTO_SCRAPE_TOP > 0 && response.ok) {
+                response.pages = await readTopHits(response, ctx);
+            }
+            return response;
+        },
+        registerSources: (result, step, register) => {
+            (result.results || []).forEach(r => {
+                r.source_id = register({ url: r.url, title: r.title, snippet: r.snippet });
+            });
+            (result.pages || []).forEach(page => {
+                page.source_id = register({ url: page.url, title: page.title, snippet: page.facts.substring(0, 300) });
+            });
+        }
+    },
+    {
+        name: "scrape_url",
+        description: "Read one specific web page and extract what the step needs. Only use with a known URL.",
+        params: {
+            url: { type: "string", description: "full http(s) URL of the page", required: true, format: "url" }
+        },
+        handler: async ({ url }, { step, llm, search }) => {
+            const page = await search.scrapeUrl(url);
+            if (!page.ok) {
+                return `Failed to scrape URL: ${page.error || "no readable content"}`;
+            }
+
+            const { title, author, published, canonical_url, content_type } = page;
+            step.metadata = { title, author, published, canonical_url, content_type };
+            return await extractFacts(page, { step, llm });
+        },
+        registerSources: (result, step, register) => {
+            if (!step.metadata) return;  // Nothing was read from a failed fetch
+            step.source_id = register({
+                url: step.metadata.canonical_url || step.params.url,
+                title: step.metadata.title,
+                snippet: result.substring(0, 300)
+            });
+        }
+    },
+    {
+        name: "search_documents",
+        description: "Search the local documents attached to this research job (uploaded PDFs, notes, pages). " +
+            "Prefer it over web_search for anything those documents cover.",
+        params: {
+            query: { type: "string", description: "keyword search query", required: true }
+        },
+        available: (job) => Boolean(job.corpus),
+        handler: async ({ query }, { corpus }) => corpus ? corpus.search(query) : noCorpusResponse(query),
+        registerSources: (result, step, register) => {
+            (result.results || []).forEach(r => {
+                r.source_id = register({ url: r.url, title: r.title, snippet: r.snippet, document: r.document });
+            });
+        }
+    },
+    {
+        name: "analyze_content",
+        description: "Analyze the results of the steps listed in its dependencies.",
+        handler: async (params, ctx) => await analyze(ctx)
+    },
+    {
+        name: "deep_analyze",
+        description: "Thorough cross-source analysis of the results of the steps listed in its dependencies.",
+        handler: async (params, ctx) => await analyze(ctx)
+    }
+];
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Content-addressed cache for search results and scraped pages,
+ * shared across jobs so repeated queries and URLs don't spend provider
+ * credits or re-fetch pages.
+ * - Entries are keyed by a hash of their kind and normalized request.
+ * - Search results expire after a per-provider TTL.
+ * - Pages are kept past their TTL as stale copies and revalidated with
+ *   ETag/Last-Modified before reuse.
+ * - Hits are reported to the job they happen in via fetchScope.
+ * @module tools/cache
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fetchScope } from './fetcher.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/** Default TTLs in ms; override with CACHE_TTL_<NAME> in seconds, e.g. CACHE_TTL_SERPER=3600 */
+const DEFAULT_TTLS = {
+    serper: 24 * HOUR,
+    tavily: 24 * HOUR,
+    brave: 24 * HOUR,
+    duckduckgo: 6 * HOUR,
+    fusion: 6 * HOUR,  // Shortest of the providers it may include
+    page: 6 * HOUR
+};
+
+// How long a page stays around for revalidation after it went stale
+const STALE_KEEP_MS = 7 * 24 * HOUR;
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 5000;
+
+export function ttlFor(name) {
+    const override = Number(process.env[`CACHE_TTL_${name.toUpperCase()}`]);
+    if (override > 0) return override * 1000;
+    return DEFAULT_TTLS[name] ?? HOUR;
+}
+
+/**
+ * Cache key for a request: kind plus the request identity, hashed.
+ */
+export function cacheKey(kind, identity) {
+    return crypto.createHash('sha256').update(`${kind}\n${identity}`).digest('hex').substring(0, 32);
+}
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key
+ * @property {'search'|'page'} kind
+ * @property {string} label - Query or URL, for the admin listing
+ * @property {string|null} provider
+ * @property {string} created_at
+ * @property {number} expires_at - Epoch ms after which the entry is stale
+ * @property {number} hits
+ * @property {string|null} etag
+ * @property {string|null} last_modified
+ * @property {*} value
+ */
+
+export class ResponseCache {
+    /**
+     * @param {string|null} dir - Directory to persist entries in; memory only when null
+     */
+    constructor(dir = null) {
+        this.dir = dir;
+        this.entries = new Map();
+        this.loaded = null;
+    }
+
+    async load() {
+        if (!this.loaded) {
+            this.loaded = this.readAll();
+        }
+        await this.loaded;
+    }
+
+    async readAll() {
+        if (!this.dir) return;
+        await fs.mkdir(this.dir, { recursive: true });
+        for (const file of (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'))) {
+            try {
+                const entry = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+                this.entries.set(entry.key, entry);
+            } catch (error) {
+                console.error(`Cache: skipping unreadable entry ${file}:`, error.message);
+            }
+        }
+        this.sweep();
+    }
+
+    /**
+     * Returns the entry for `key`, stale or not; callers decide what stale means.
+     * @returns {Promise<CacheEntry|null>}
+     */
+    async get(key) {
+        await this.load();
+        return this.entries.get(key) || null;
+    }
+
+    /**
+     * @param {Omit<CacheEntry, 'created_at'|'hits'|'expires_at'> & { ttl: number }} entry
+     */
+    async set({ ttl, ...entry }) {
+        await this.load();
+        const stored = {
+            etag: null,
+            last_modified: null,
+            ...entry,
+            created_at: new Date().toISOString(),
+            expires_at: Date.now() + ttl,
+            hits: 0
+        };
+        this.entries.set(stored.key, stored);
+        if (this.entries.size > MAX_ENTRIES) this.sweep();
+        await this.write(stored);
+        return stored;
+    }
+
+    /**
+     * Extends a revalidated entry by another TTL.
+     */
+    async refresh(entry, ttl) {
+        entry.expires_at = Date.now() + ttl;
+        await this.write(entry);
+    }
+
+    hit(entry, detail) {
+        entry.hits++;
+        const age = Math.round((Date.now() - Date.parse(entry.created_at)) / 60000);
+        fetchScope.getStore()?.onCacheHit?.(entry.kind, entry.label, `${detail}, ${age} min old`);
+    }
+
+    async write(entry) {
+        if (!this.dir) return;
+        const target = path.join(this.dir, `${entry.key}.json`);
+        try {
+            await fs.writeFile(`${target}.tmp`, JSON.stringify(entry), 'utf8');
+            await fs.rename(`${target}.tmp`, target);
+        } catch (error) {
+            console.error(`Cache: failed to save ${entry.key}:`, error.message);
+        }
+    }
+
+    /**
+     * Removes entries matching the filter; with no filter, everything.
+     * @param {{ key?: string, kind?: string, q?: string }} [filter]
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async purge(filter = {}) {
+        await this.load();
+        const doomed = this.list(filter);
+        for (const entry of doomed) {
+            this.entries.delete(entry.key);
+            if (this.dir) await fs.rm(path.join(this.dir, `${entry.key}.json`), { force: true });
+        }
+        return doomed.length;
+    }
+
+    /**
+     * @param {{ key?: string, kind?: string, q?: string }} [filter]
+     * @returns {CacheEntry[]} Newest first
+     */
+    list({ key, kind, q } = {}) {
+        const term = q ? q.toLowerCase() : null;
+        return [...this.entries.values()]
+            .filter(e => (!key || e.key === key) && (!kind || e.kind === kind) &&
+                (!term || e.label.toLowerCase().includes(term)))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    // Drops dead entries, then the least used ones if still over the cap
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            const keepUntil = entry.kind === 'page' && (entry.etag || entry.last_modified)
+                ? entry.expires_at + STALE_KEEP_MS
+                : entry.expires_at;
+            if (keepUntil < now) this.forget(key);
+        }
+        if (this.entries.size > MAX_ENTRIES) {
+            [...this.entries.values()]
+                .sort((a, b) => a.hits - b.hits || a.created_at.localeCompare(b.created_at))
+                .slice(0, this.entries.size - MAX_ENTRIES)
+                .forEach(entry => this.forget(entry.key));
+        }
+    }
+
+    forget(key) {
+        this.entries.delete(key);
+        if (this.dir) {
+            fs.rm(path.join(this.dir, `${key}.json`), { force: true }).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Builds the cache selected by the environment:
+ * - HTTP_CACHE=file (default) persists to HTTP_CACHE_DIR (default ./data/cache)
+ * - HTTP_CACHE=memory keeps entries for the life of the process
+ * - HTTP_CACHE=off disables caching
+ * @returns {ResponseCache|null}
+ */
+export function createCache() {
+    const kind = process.env.HTTP_CACHE || 'file';
+    if (kind === 'off') return null;
+    if (kind === 'memory') return new ResponseCache();
+    return new ResponseCache(process.env.HTTP_CACHE_DIR || path.resolve('data', 'cache'));
+}
+
+/** Process-wide cache shared by every job. */
+export const responseCache = createCache();
@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Local document corpora as a research source.
+ * A corpus is a folder of PDF, Markdown, HTML and plain-text files. Files are
+ * split into page/section chunks and searched with BM25, so local results
+ * can be cited by file name and page or section.
+ * @module tools/corpus
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { extractText, getDocumentProxy } from 'unpdf';
+import { SearchResponse, SearchError } from './results.js';
+
+export const SUPPORTED_EXTENSIONS = ['.pdf', '.md', '.markdown', '.html', '.htm', '.txt'];
+
+const CORPUS_ID = /^[\w-]{1,64}$/;
+const CHUNK_CHARS = 1000;
+const INDEX_FILE = 'index.json';
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have in is it its of on or that the ' +
+    'this to was were will with what which who how').split(' '));
+
+/**
+ * Lowercased word tokens without stopwords, for indexing and querying.
+ */
+export function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Splits text into chunks of about CHUNK_CHARS, breaking on paragraph
+ * boundaries where possible.
+ */
+function splitText(text) {
+    const chunks = [];
+    let current = '';
+    for (const paragraph of text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+        if (current && current.length + paragraph.length > CHUNK_CHARS) {
+            chunks.push(current);
+            current = '';
+        }
+        // A single oversized paragraph is cut at sentence ends; one with no
+        // sentence text at all (only punctuation) is kept whole
+        if (paragraph.length > CHUNK_CHARS) {
+            for (const sentence of paragraph.match(/[.!?]*[^.!?]+[.!?]*\s*/g) ?? [paragraph]) {
+                if (current && current.length + sentence.length > CHUNK_CHARS) {
+                    chunks.push(current.trim());
+                    current = '';
+                }
+                current += sentence;
+            }
+            continue;
+        }
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+    if (current.trim()) chunks.push(current.trim());
+    return chunks;
+}
+
+/**
+ * Groups Markdown into sections keyed by their heading path.
+ */
+function markdownSections(text) {
+    const sections = [];
+    const headings = [];
+    let body = [];
+
+    const flush = () => {
+        if (body.join('').trim()) sections.push({ section: headings.filter(Boolean).join(' > ') || null, text: body.join('\n') });
+        body = [];
+    };
+
+    for (const line of text.split('\n')) {
+        const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (match) {
+            flush();
+            headings.length = match[1].length;
+            headings[match[1].length - 1] = match[2];
+        } else {
+            body.push(line);
+        }
+    }
+    flush();
+    return sections;
+}
+
+/**
+ * Groups HTML block content into sections under the nearest h1-h3 headings.
+ */
+function htmlSections(html) {
+    const $ = cheerio.load(html);
+    $('script, style, nav, header, footer, noscript').remove();
+
+    const sections = [];
+    let heading = $('title').first().text().trim() || null;
+    let body = [];
+    $('h1, h2, h3, p, li, pre, blockquote, td').each((i, el) => {
+        const text = $(el).text().trim();
+        if (!text) return;
+        if (/^h[1-3]$/.test(el.tagName)) {
+            if (body.length) sections.push({ section: heading, text: body.join('\n\n') });
+            heading = text;
+            body = [];
+        } else {
+            body.push(text);
+        }
+    });
+    if (body.length) sections.push({ section: heading, text: body.join('\n\n') });
+
+    // Pages without block markup still have body text
+    if (sections.length === 0) {
+        sections.push({ section: heading, text: $('body').text() });
+    }
+    return sections;
+}
+
+/**
+ * Parses a file into chunks tagged with page (PDF) or section (Markdown/HTML).
+ * @param {string} file - File name, used to pick the parser
+ * @param {Buffer} data
+ * @returns {Promise<{ pages: number|null, chunks: { page: number|null, section: string|null, text: string }[] }>}
+ */
+export async function parseDocument(file, data) {
+    const ext = path.extname(file).toLowerCase();
+    let parts;
+    let pages = null;
+
+    if (ext === '.pdf') {
+        const pdf = await getDocumentProxy(new Uint8Array(data));
+        const { totalPages, text } = await extractText(pdf, { mergePages: false });
+        pages = totalPages;
+        parts = text.map((pageText, i) => ({ page: i + 1, section: null, text: pageText }));
+    } else if (ext === '.md' || ext === '.markdown') {
+        parts = markdownSections(data.toString('utf8')).map(s => ({ page: null, ...s }));
+    } else if (ext === '.html' || ext === '.htm') {
+        parts = htmlSections(data.toString('utf8')).map(s => ({ page: null, ...s }));
+    } else {
+        parts = [{ page: null, section: null, text: data.toString('utf8') }];
+    }
+
+    const chunks = parts.flatMap(part => splitText(part.text).map(text => ({ page: part.page, section: part.section, text })));
+    return { pages, chunks };
+}
+
+/**
+ * One corpus folder: `<root>/<id>/files/*` plus a cached chunk index.
+ * The index is kept in sync with the folder, so files copied in by hand
+ * are picked up as well as uploaded ones.
+ */
+export class Corpus {
+    constructor(root, id) {
+        this.id = id;
+        this.dir = path.join(root, id);
+        this.filesDir = path.join(this.dir, 'files');
+        this.documents = [];  // { file, size, mtime, pages, chunks }
+        this.bm25 = null;
+        this.pending = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            this.documents = JSON.parse(await fs.readFile(path.join(this.dir, INDEX_FILE), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        await this.sync();
+        return this;
+    }
+
+    /**
+     * Indexes new or changed files and forgets deleted ones.
+     * Syncs are serialized so an upload and a job start never index at once.
+     */
+    async sync() {
+        this.pending = this.pending.then(() => this.syncNow()).catch(error => {
+            console.error(`📄 Could not sync corpus ${this.id}:`, error.message);
+        });
+        await this.pending;
+    }
+
+    async syncNow() {
+        await fs.mkdir(this.filesDir, { recursive: true });
+        const files = (await fs.readdir(this.filesDir))
+            .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+        let changed = false;
+        const documents = [];
+        for (const file of files) {
+            const stat = await fs.stat(path.join(this.filesDir, file));
+            const existing = this.documents.find(d => d.file === file);
+            if (existing && existing.size === stat.size && existing.mtime === stat.mtimeMs) {
+                documents.push(existing);
+                continue;
+            }
+            try {
+                documents.push(await this.parse(file, stat));
+            } catch (error) {
+                console.error(`📄 Could not index ${this.id}/${file}:`, error.message);
+            }
+            changed = true;
+        }
+        if (documents.length !== this.documents.length) changed = true;
+
+        this.documents = documents;
+        if (changed) {
+            await this.saveIndex();
+            this.bm25 = null;
+        }
+    }
+
+    async parse(file, stat) {
+        const { pages, chunks } = await parseDocument(file, await fs.readFile(path.join(this.filesDir, file)));
+        console.log(`📄 Indexed ${this.id}/${file}: ${chunks.length} chunks`);
+        return { file, size: stat.size, mtime: stat.mtimeMs, pages, chunks };
+    }
+
+    async saveIndex() {
+        const target = path.join(this.dir, INDEX_FILE);
+        await fs.writeFile(`${target}.tmp`, JSON.stringify(this.documents));
+        await fs.rename(`${target}.tmp`, target);
+    }
+
+    /**
+     * Stores and indexes an uploaded file, replacing any file of the same name.
+     * @returns {Promise<{ file: string, pages: number|null, chunks: number } | { file: string, error: string }>}
+     */
+    async addDocument(fileName, data) {
+        const file = path.basename(fileName).replace(/[^\w.\- ]/g, '_');
+        await fs.mkdir(this.filesDir, { recursive: true });
+        await this.pending;
+        await fs.writeFile(path.join(this.filesDir, file), data);
+        await this.sync();
+
+        const document = this.documents.find(d => d.file === file);
+        if (!document) {
+            return { file, error: `Could not extract text from ${file}` };
+        }
+        return { file, pages: document.pages, chunks: document.chunks.length };
+    }
+
+    /**
+     * Deletes a stored file and drops it from the index.
+     */
+    async removeDocument(file) {
+        await this.pending;
+        await fs.rm(path.join(this.filesDir, path.basename(file)), { force: true });
+        await this.sync();
+    }
+
+    describe() {
+        return {
+            corpus_id: this.id,
+            documents: this.documents.map(d => ({ file: d.file, pages: d.pages, chunks: d.chunks.length })),
+            chunks: this.documents.reduce((sum, d) => sum + d.chunks.length, 0)
+        };
+    }
+
+    // Okapi BM25 statistics, built lazily after every sync
+    index() {
+        if (this.bm25) return this.bm25;
+
+        const entries = this.documents.flatMap(d => d.chunks.map(chunk => {
+            const terms = new Map();
+            tokenize(chunk.text).forEach(t => terms.set(t, (terms.get(t) || 0) + 1));
+            const length = [...terms.values()].reduce((a, b) => a + b, 0);
+            return { file: d.file, chunk, terms, length };
+        }));
+        const df = new Map();
+        entries.forEach(e => e.terms.forEach((n, t) => df.set(t, (df.get(t) || 0) + 1)));
+        const avgLength = entries.reduce((sum, e) => sum + e.length, 0) / (entries.length || 1);
+
+        this.bm25 = { entries, df, avgLength };
+        return this.bm25;
+    }
+
+    /**
+     * Ranks chunks against the query with BM25 (k1=1.2, b=0.75).
+     * @returns {SearchResponse} Results carry a `corpus://` URL and a `document` location
+     */
+    search(query, maxResults = 5) {
+        const { entries, df, avgLength } = this.index();
+        const k1 = 1.2;
+        const b = 0.75;
+        const queryTerms = [...new Set(tokenize(query))];
+
+        const scored = entries.map(entry => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const tf = entry.terms.get(term);
+                if (!tf) continue;
+                const idf = Math.log(1 + (entries.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+                score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * entry.length / avgLength));
+            }
+            return { entry, score };
+        }).filter(s => s.score > 0)
+            .sort((x, y) => y.score - x.score)
+            .slice(0, maxResults);
+
+        return new SearchResponse({
+            query,
+            provider: 'documents',
+            results: scored.map(({ entry, score }, i) => {
+                const { page, section, text } = entry.chunk;
+                const location = { corpus: this.id, file: entry.file, page, section };
+                return {
+                    title: documentTitle(location),
+                    url: documentUrl(location),
+                    snippet: text,
+                    provider: 'documents',
+                    rank: i + 1,
+                    document: { ...location, score: Number(score.toFixed(3)) }
+                };
+            })
+        });
+    }
+}
+
+/**
+ * Human-readable citation label, e.g. `report.pdf, p. 3` or `guide.md § Setup`.
+ */
+export function documentTitle({ file, page, section }) {
+    if (page) return `${file}, p. ${page}`;
+    if (section) return `${file} § ${section}`;
+    return file;
+}
+
+/**
+ * Stable pseudo-URL for a document location, used as the source registry key.
+ */
+export function documentUrl({ corpus, file, page, section }) {
+    const base = `corpus://${corpus}/${encodeURIComponent(file)}`;
+    if (page) return `${base}#page=${page}`;
+    if (section) return `${base}#section=${encodeURIComponent(section)}`;
+    return base;
+}
+
+/**
+ * All corpora under CORPUS_DIR (default ./data/corpora), loaded on demand.
+ */
+export class CorpusLibrary {
+    constructor(root = process.env.CORPUS_DIR || './data/corpora') {
+        this.root = root;
+        this.loaded = new Map();  // id -> Promise<Corpus>
+    }
+
+    static isValidId(id) {
+        return typeof id === 'string' && CORPUS_ID.test(id);
+    }
+
+    async list() {
+        let ids = [];
+        try {
+            ids = (await fs.readdir(this.root, { withFileTypes: true }))
+                .filter(entry => entry.isDirectory() && CORPUS_ID.test(entry.name))
+                .map(entry => entry.name);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return await Promise.all(ids.map(async id => (await this.open(id)).describe()));
+    }
+
+    async exists(id) {
+        if (!CorpusLibrary.isValidId(id)) return false;
+        try {
+            return (await fs.stat(path.join(this.root, id))).isDirectory();
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Opens (creating if needed) a corpus. Each open re-syncs with the folder.
+     * @returns {Promise<Corpus>}
+     */
+    async open(id) {
+        if (!this.loaded.has(id)) {
+            this.loaded.set(id, new Corpus(this.root, id).load());
+            return await this.loaded.get(id);
+        }
+        const corpus = await this.loaded.get(id);
+        await corpus.sync();
+        return corpus;
+    }
+}
+
+/**
+ * Error response for a search_documents step on a job without a corpus.
+ */
+export function noCorpusResponse(query) {
+    return new SearchResponse({
+        query,
+        provider: 'documents',
+        errors: [new SearchError({ provider: 'documents', message: 'No document corpus is attached to this job' })]
+    });
+}
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Content-type aware page extraction for scrapeUrl.
+ * Decodes the response with the right charset, finds the main content of
+ * HTML pages with a readability-style scoring pass, renders it as Markdown
+ * (headings, lists, tables, code) and pulls page metadata. PDFs are
+ * extracted page by page.
+ * @module tools/extract
+ */
+
+import * as cheerio from 'cheerio';
+import { extractText, getDocumentProxy } from 'unpdf';
+
+const MAX_TEXT = 20000;
+
+// Class/id hints used to score content containers
+const POSITIVE = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE = /comment|share|sidebar|promo|related|cookie|consent|banner|advert|\bads?\b|sponsor|footer|menu|nav|social|subscribe|newsletter|popup|modal|breadcrumb|widget|masthead/i;
+
+/**
+ * Reads the charset from a Content-Type header, a BOM or a `<meta>` tag.
+ */
+export function detectCharset(buffer, contentType = '') {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+
+    const header = contentType.match(/charset=["']?([\w-]+)/i);
+    if (header) return header[1].toLowerCase();
+
+    const head = buffer.subarray(0, 4096).toString('latin1');
+    const meta = head.match(/<meta[^>]+charset=["']?([\w-]+)/i);
+    return meta ? meta[1].toLowerCase() : 'utf-8';
+}
+
+function decode(buffer, contentType) {
+    try {
+        return new TextDecoder(detectCharset(buffer, contentType)).decode(buffer);
+    } catch {
+        // Unknown label - UTF-8 is the best guess on today's web
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+function isPdf(buffer, contentType) {
+    return /application\/(x-)?pdf/i.test(contentType) || buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+function clean(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Page metadata from Open Graph, article, Dublin Core and JSON-LD tags.
+ */
+function extractMetadata($, url) {
+    const meta = (...names) => {
+        for (const name of names) {
+            const value = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content');
+            if (value && value.trim()) return value.trim();
+        }
+        return null;
+    };
+
+    let ld = {};
+    $('script[type="application/ld+json"]').each((i, el) => {
+        try {
+            const data = JSON.parse($(el).contents().text());
+            const items = [].concat(data['@graph'] || data);
+            const article = items.find(item => /Article|Posting|Report|WebPage/.test([].concat(item['@type']).join(' ')));
+            if (article && !ld.headline) ld = article;
+        } catch {
+            // Malformed JSON-LD is common; the meta tags usually cover it
+        }
+    });
+    const ldAuthor = [].concat(ld.author || []).map(a => typeof a === 'string' ? a : a?.name).filter(Boolean).join(', ');
+
+    let canonical = $('link[rel="canonical"]').attr('href') || meta('og:url');
+    try {
+        canonical = canonical ? new URL(canonical, url).toString() : null;
+    } catch {
+        canonical = null;
+    }
+
+    return {
+        title: meta('og:title', 'twitter:title') || ld.headline || clean($('title').first().text()) || clean($('h1').first().text()) || null,
+        author: meta('author', 'article:author', 'dc.creator', 'parsely-author') || ldAuthor ||
+            clean($('[rel="author"], [itemprop="author"]').first().text()) || null,
+        published: meta('article:published_time', 'datePublished', 'date', 'pubdate', 'dc.date', 'parsely-pub-date') ||
+            ld.datePublished || $('time[datetime]').first().attr('datetime') || null,
+        canonical_url: canonical
+    };
+}
+
+function linkDensity($, el) {
+    const length = clean($(el).text()).length || 1;
+    const linkLength = $(el).find('a').toArray().reduce((sum, a) => sum + clean($(a).text()).length, 0);
+    return linkLength / length;
+}
+
+function classWeight(el) {
+    const hint = `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+    let weight = 0;
+    if (POSITIVE.test(hint)) weight += 25;
+    if (NEGATIVE.test(hint)) weight -= 25;
+    return weight;
+}
+
+/**
+ * Readability-style main content detection: paragraphs score their parent
+ * (and half for the grandparent) by length and comma count, containers are
+ * weighted by class/id hints and link density, and the best container is
+ * returned together with any similarly scored siblings.
+ */
+function findMainContent($) {
+    $('script, style, noscript, iframe, form, svg, nav, footer, header, aside, button, [hidden], [aria-hidden="true"]').remove();
+    $('*').each((i, el) => {
+        if (el.tagName !== 'body' && el.tagName !== 'html' && el.tagName !== 'article' && el.tagName !== 'main' &&
+            NEGATIVE.test(`${el.attribs?.class || ''} ${el.attribs?.id || ''}`) && !POSITIVE.test(el.attribs?.class || '')) {
+            $(el).remove();
+        }
+    });
+
+    const scores = new Map();
+    const addScore = (el, score) => {
+        if (!el || el.type !== 'tag') return;
+        if (!scores.has(el)) scores.set(el, classWeight(el) + (/^(article|main)$/.test(el.tagName) ? 10 : 0));
+        scores.set(el, scores.get(el) + score);
+    };
+
+    $('p, pre, td, blockquote, li').each((i, el) => {
+        const text = clean($(el).text());
+        if (text.length < 25) return;
+        const score = 1 + text.split(',').length + Math.min(3, Math.floor(text.length / 100));
+        addScore(el.parent, score);
+        addScore(el.parent?.parent, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of scores) {
+        const adjusted = score * (1 - linkDensity($, el));
+        scores.set(el, adjusted);
+        if (adjusted > bestScore) {
+            best = el;
+            bestScore = adjusted;
+        }
+    }
+    if (!best) return [$('body').get(0)].filter(Boolean);
+
+    // Articles are often split over sibling containers
+    const threshold = Math.max(10, bestScore * 0.2);
+    const siblings = best.parent ? $(best.parent).children().toArray() : [best];
+    return siblings.filter(el => el === best || (scores.get(el) || 0) >= threshold);
+}
+
+function inlineText($, el) {
+    return clean($(el).text());
+}
+
+function tableToMarkdown($, table) {
+    const rows = $(table).find('tr').toArray()
+        .map(tr => $(tr).children('th, td').toArray().map(cell => inlineText($, cell).replace(/\|/g, '\\|')))
+        .filter(cells => cells.length > 0);
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(r => r.length));
+    const pad = cells => [...cells, ...Array(width - cells.length).fill('')];
+    const lines = [`| ${pad(rows[0]).join(' | ')} |`, `| ${Array(width).fill('---').join(' | ')} |`];
+    rows.slice(1).forEach(cells => lines.push(`| ${pad(cells).join(' | ')} |`));
+    return lines.join('\n');
+}
+
+/**
+ * Renders an element tree as Markdown blocks.
+ */
+function toMarkdown($, el, depth = 0) {
+    if (el.type === 'text') {
+        const text = clean(el.data);
+        return text ? [text] : [];
+    }
+    if (el.type !== 'tag') return [];
+
+    const tag = el.tagName;
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+        const text = inlineText($, el);
+        return text ? [`${'#'.repeat(Number(heading[1]))} ${text}`] : [];
+    }
+    if (tag === 'p' || tag === 'figcaption' || tag === 'dt' || tag === 'dd') {
+        const text = inlineText($, el);
+        return text ? [text] : [];
+    }
+    if (tag === 'pre') {
+        return [`\`\`\`\n${$(el).text().replace(/\n+$/, '')}\n\`\`\``];
+    }
+    if (tag === 'blockquote') {
+        const text = inlineText($, el);
+        return text ? [`> ${text}`] : [];
+    }
+    if (tag === 'table') {
+        const table = tableToMarkdown($, el);
+        return table ? [table] : [];
+    }
+    if (tag === 'ul' || tag === 'ol') {
+        const indent = '  '.repeat(depth);
+        const items = $(el).children('li').toArray().map((li, i) => {
+            const nested = $(li).children('ul, ol').toArray();
+            const own = clean($(li).clone().children('ul, ol').remove().end().text());
+            const marker = tag === 'ol' ? `${i + 1}.` : '-';
+            return [`${indent}${marker} ${own}`, ...nested.flatMap(list => toMarkdown($, list, depth + 1))].join('\n');
+        });
+        return items.length ? [items.join('\n')] : [];
+    }
+    if (/^(img|picture|video|audio|canvas|select|input)$/.test(tag)) return [];
+
+    // Containers: merge adjacent inline text into one paragraph
+    const blocks = [];
+    let inline = '';
+    for (const child of el.children || []) {
+        const isInline = child.type === 'text' || (child.type === 'tag' && /^(a|span|strong|em|b|i|code|small|sup|sub|abbr|time|mark|br|u|s|q|cite)$/.test(child.tagName));
+        if (isInline) {
+            inline += child.type === 'text' ? child.data : ` ${$(child).text()} `;
+            continue;
+        }
+        if (clean(inline)) blocks.push(clean(inline));
+        inline = '';
+        blocks.push(...toMarkdown($, child, depth));
+    }
+    if (clean(inline)) blocks.push(clean(inline));
+    return blocks;
+}
+
+async function extractPdf(buffer) {
+    const pdf = await getDocumentProxy(new Uint8Array(buffer));
+    const { totalPages, text } = await extractText(pdf, { mergePages: false });
+
+    let info = {};
+    try {
+        info = (await pdf.getMetadata()).info || {};
+    } catch {
+        // Metadata is optional
+    }
+    // PDF dates look like D:20240131120000Z
+    const date = String(info.CreationDate || '').match(/^D:(\d{4})(\d{2})(\d{2})/);
+
+    return {
+        title: info.Title?.trim() || null,
+        author: info.Author?.trim() || null,
+        published: date ? `${date[1]}-${date[2]}-${date[3]}` : null,
+        text: text.map((page, i) => `## Page ${i + 1} of ${totalPages}\n\n${page.trim()}`).join('\n\n')
+    };
+}
+
+/**
+ * Extracts readable content and metadata from a fetched response.
+ * @param {Buffer} buffer - Raw response body
+ * @param {string} contentType - Content-Type header
+ * @param {string} url - Final URL, used to resolve the canonical link
+ * @returns {Promise<{ title: string|null, author: string|null, published: string|null,
+ *   canonical_url: string|null, content_type: string, text: string }>}
+ * @throws {Error} For content types that have no text to extract
+ */
+export async function extractContent(buffer, contentType, url) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    const base = { title: null, author: null, published: null, canonical_url: null };
+
+    if (isPdf(buffer, type)) {
+        const pdf = await extractPdf(buffer);
+        return { ...base, ...pdf, content_type: 'application/pdf', text: pdf.text.substring(0, MAX_TEXT) };
+    }
+
+    if (/^(image|audio|video|font)\//.test(type) || /^application\/(zip|octet-stream|x-)/.test(type)) {
+        throw new Error(`Unsupported content type ${type}`);
+    }
+
+    const body = decode(buffer, contentType || '');
+    const looksLikeHtml = /html|xml/.test(type) || (!type && /<(html|body|p|div)[\s>]/i.test(body.substring(0, 2000)));
+    if (!looksLikeHtml) {
+        // Plain text, Markdown, JSON, CSV - already readable
+        return { ...base, content_type: type || 'text/plain', text: body.trim().substring(0, MAX_TEXT) };
+    }
+
+    const $ = cheerio.load(body);
+    const metadata = extractMetadata($, url);
+    const blocks = findMainContent($).flatMap(el => toMarkdown($, el));
+    let text = blocks.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    // Some pages keep their text outside any recognisable block structure
+    if (text.length < 100) {
+        text = clean($('body').text());
+    }
+    return { ...metadata, content_type: type || 'text/html', text: text.substring(0, MAX_TEXT) };
+}
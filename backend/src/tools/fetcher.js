@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Safe fetch layer for URLs chosen by the LLM.
+ * Every scrape goes through fetchUrl(), which
+ * - only allows http(s) to public addresses (no localhost, private ranges or
+ *   link-local metadata endpoints), re-checked on every redirect and pinned
+ *   to the validated IP so DNS rebinding can't slip past the check,
+ * - honours robots.txt for our user agent, including Crawl-delay,
+ * - limits concurrency and spaces out requests per host,
+ * - caps the response size.
+ * Blocked fetches are reported to the job they run in via fetchScope.
+ * @module tools/fetcher
+ */
+
+import axios from 'axios';
+import dns from 'dns/promises';
+import net from 'net';
+import { AsyncLocalStorage } from 'async_hooks';
+import { parseRobots, RobotsRules } from './robots.js';
+
+export const ROBOTS_AGENT = 'AutoResearchAgent';
+const USER_AGENT = process.env.FETCH_USER_AGENT || `Mozilla/5.0 (compatible; ${ROBOTS_AGENT}/1.0)`;
+const MAX_BYTES = Number(process.env.FETCH_MAX_BYTES) || 5 * 1024 * 1024;
+const HOST_DELAY_MS = Number(process.env.FETCH_HOST_DELAY_MS ?? 1000);
+const HOST_CONCURRENCY = Number(process.env.FETCH_HOST_CONCURRENCY) || 2;
+const MAX_CRAWL_DELAY_MS = 10000;
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+
+// Hosts exempt from the address checks, for deployments that mean to reach them
+const ALLOWED_HOSTS = new Set((process.env.FETCH_ALLOW_HOSTS || '')
+    .split(',').map(h => h.trim().toLowerCase()).filter(Boolean));
+
+/**
+ * Per-job listeners for fetch events; cache hits are reported here too (see cache.js).
+ * @type {AsyncLocalStorage<{ onBlocked: (url: string, reason: string) => void,
+ *   onCacheHit?: (kind: string, label: string, detail: string) => void }>}
+ */
+export const fetchScope = new AsyncLocalStorage();
+
+/**
+ * Thrown when a fetch is refused before any request is made.
+ */
+export class BlockedFetchError extends Error {
+    constructor(url, reason) {
+        super(`Blocked fetch of ${url}: ${reason}`);
+        this.name = 'BlockedFetchError';
+        this.url = url;
+        this.reason = reason;
+    }
+}
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * True for loopback, private, link-local, multicast and reserved addresses.
+ */
+export function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it maps to
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function checkTarget(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new BlockedFetchError(url, 'invalid URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new BlockedFetchError(url, `scheme ${parsed.protocol} is not allowed`);
+    }
+    if (parsed.username || parsed.password) {
+        throw new BlockedFetchError(url, 'credentials in URLs are not allowed');
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (ALLOWED_HOSTS.has(host)) return parsed;
+    if (host === 'localhost' || /\.(localhost|local|internal|home\.arpa)$/.test(host)) {
+        throw new BlockedFetchError(url, `${host} is a local hostname`);
+    }
+    if (net.isIP(host) && isPrivateAddress(host)) {
+        throw new BlockedFetchError(url, `${host} is a private address`);
+    }
+    return parsed;
+}
+
+/**
+ * DNS lookup that refuses private addresses, so hostnames (including those
+ * reached through redirects) are validated at connect time.
+ */
+async function guardedLookup(hostname) {
+    const host = hostname.replace(/\.$/, '').toLowerCase();
+    const addresses = await dns.lookup(host, { all: true });
+    if (!ALLOWED_HOSTS.has(host)) {
+        const blocked = addresses.find(a => isPrivateAddress(a.address));
+        if (blocked) {
+            throw new BlockedFetchError(hostname, `${hostname} resolves to private address ${blocked.address}`);
+        }
+    }
+    return [addresses[0].address, addresses[0].family];
+}
+
+// Per-host concurrency and spacing between request starts
+const hosts = new Map();
+
+async function acquireHost(host, delayMs) {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, waiters: [], nextStart: 0 });
+    const state = hosts.get(host);
+
+    while (state.active >= HOST_CONCURRENCY) {
+        await new Promise(resolve => state.waiters.push(resolve));
+    }
+    state.active++;
+
+    // Reserve the next start slot before sleeping so concurrent callers queue up
+    const now = Date.now();
+    const start = Math.max(now, state.nextStart);
+    state.nextStart = start + delayMs;
+    if (start > now) {
+        await new Promise(resolve => setTimeout(resolve, start - now));
+    }
+}
+
+function releaseHost(host) {
+    const state = hosts.get(host);
+    state.active--;
+    state.waiters.shift()?.();
+}
+
+const robotsCache = new Map();  // origin -> { rules, expires }
+
+async function rawGet(url, options = {}) {
+    return await axios.get(url, {
+        timeout: 15000,
+        maxRedirects: 5,
+        maxContentLength: MAX_BYTES,
+        lookup: guardedLookup,
+        beforeRedirect: (redirect) => {
+            checkTarget(redirect.href || `${redirect.protocol}//${redirect.hostname}${redirect.path}`);
+        },
+        ...options,
+        headers: { 'User-Agent': USER_AGENT, ...options.headers }
+    });
+}
+
+/**
+ * robots.txt rules for an origin, cached for an hour. Per RFC 9309 a missing
+ * file (4xx) allows everything, while a server error (5xx) disallows
+ * everything. Network errors are thrown uncached - the page itself would be
+ * unreachable too.
+ * @returns {Promise<RobotsRules>}
+ */
+async function robotsFor(origin) {
+    const cached = robotsCache.get(origin);
+    if (cached && cached.expires > Date.now()) return cached.rules;
+
+    const response = await rawGet(`${origin}/robots.txt`, {
+        responseType: 'text',
+        maxContentLength: 512 * 1024,
+        validateStatus: () => true
+    });
+    let rules;
+    if (response.status >= 200 && response.status < 300) {
+        rules = parseRobots(String(response.data), ROBOTS_AGENT);
+    } else if (response.status >= 400 && response.status < 500) {
+        rules = RobotsRules.allowAll();
+    } else {
+        rules = RobotsRules.disallowAll();
+    }
+
+    robotsCache.set(origin, { rules, expires: Date.now() + ROBOTS_TTL_MS });
+    return rules;
+}
+
+function reportBlocked(url, reason) {
+    console.warn(`🚫 Blocked fetch of ${url}: ${reason}`);
+    fetchScope.getStore()?.onBlocked(url, reason);
+}
+
+// Address and robots.txt checks that come before any request for the page itself
+async function admit(url) {
+    const parsed = checkTarget(url);
+    const rules = await robotsFor(parsed.origin);
+    if (!rules.isAllowed(`${parsed.pathname}${parsed.search}`)) {
+        throw new BlockedFetchError(url, 'disallowed by robots.txt');
+    }
+    return { parsed, rules };
+}
+
+function blockedBy(error) {
+    if (error instanceof BlockedFetchError) return error;
+    return error.cause instanceof BlockedFetchError ? error.cause : null;
+}
+
+/**
+ * Applies the same address and robots.txt rules as fetchUrl without
+ * fetching the page, for callers about to serve a stored copy of it.
+ * The host is resolved here, since no connection will check it.
+ * @param {string} url
+ * @throws {BlockedFetchError} When the URL is refused; other errors are network errors
+ */
+export async function checkUrl(url) {
+    try {
+        const { parsed } = await admit(url);
+        const host = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (!net.isIP(host)) await guardedLookup(host);
+    } catch (error) {
+        const blocked = blockedBy(error);
+        if (!blocked) throw error;
+        reportBlocked(url, blocked.reason);
+        throw new BlockedFetchError(url, blocked.reason);
+    }
+}
+
+/**
+ * Fetches an LLM-chosen URL under the safety and politeness rules above.
+ * @param {string} url
+ * @param {import('axios').AxiosRequestConfig} [options] - Extra axios options (headers, responseType)
+ * @returns {Promise<import('axios').AxiosResponse>}
+ * @throws {BlockedFetchError} When the URL is refused; other errors are axios errors
+ */
+export async function fetchUrl(url, options = {}) {
+    try {
+        const { parsed, rules } = await admit(url);
+
+        const delay = Math.max(HOST_DELAY_MS, Math.min((rules.crawlDelay || 0) * 1000, MAX_CRAWL_DELAY_MS));
+        await acquireHost(parsed.host, delay);
+        try {
+            return await rawGet(url, options);
+        } finally {
+            releaseHost(parsed.host);
+        }
+    } catch (error) {
+        const blocked = blockedBy(error);
+        if (blocked) {
+            reportBlocked(url, blocked.reason);
+            throw new BlockedFetchError(url, blocked.reason);
+        }
+        if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+            reportBlocked(url, `response larger than ${MAX_BYTES} bytes`);
+            throw new BlockedFetchError(url, `response larger than ${MAX_BYTES} bytes`);
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Per-provider search quota tracking.
+ * Counts API calls per billing month against each provider's quota (or the
+ * remaining count the provider reports itself), so a key that is nearly
+ * exhausted is skipped before it starts failing.
+ * @module tools/quota
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/** Monthly call quotas of the free tiers; override with <PROVIDER>_QUOTA. */
+const DEFAULT_QUOTAS = {
+    serper: 2500,
+    tavily: 1000,
+    brave: 2000
+};
+
+// Calls held back so a key is retired before it actually runs dry
+const RESERVE = Number(process.env.SEARCH_QUOTA_RESERVE ?? 20);
+
+function currentPeriod() {
+    return new Date().toISOString().substring(0, 7);  // YYYY-MM
+}
+
+export class QuotaTracker {
+    /**
+     * @param {string|null} file - JSON file to persist counts in; memory only when null
+     */
+    constructor(file = null) {
+        this.file = file;
+        this.providers = {};  // name -> { period, used, remaining, exhausted_until }
+        if (file) {
+            try {
+                this.providers = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') console.error('Quota: ignoring unreadable state:', error.message);
+            }
+        }
+    }
+
+    limitFor(provider) {
+        const override = Number(process.env[`${provider.toUpperCase()}_QUOTA`]);
+        return override > 0 ? override : DEFAULT_QUOTAS[provider] ?? null;
+    }
+
+    state(provider) {
+        const period = currentPeriod();
+        const state = this.providers[provider];
+        if (!state || state.period !== period) {
+            this.providers[provider] = { period, used: 0, remaining: null, exhausted_until: null };
+        }
+        return this.providers[provider];
+    }
+
+    /**
+     * Calls left this period: the provider-reported figure when known,
+     * otherwise the configured quota minus what we used. Null when untracked.
+     */
+    remaining(provider) {
+        const state = this.state(provider);
+        if (state.remaining !== null) return state.remaining;
+        const limit = this.limitFor(provider);
+        return limit === null ? null : Math.max(0, limit - state.used);
+    }
+
+    /**
+     * False once a provider is inside its reserve or was reported exhausted.
+     */
+    isAvailable(provider) {
+        const state = this.state(provider);
+        if (state.exhausted_until && Date.parse(state.exhausted_until) > Date.now()) return false;
+        const remaining = this.remaining(provider);
+        return remaining === null || remaining > RESERVE;
+    }
+
+    /**
+     * Counts one call. `remaining` is the provider's own count when its
+     * response carries one.
+     */
+    consume(provider, remaining = null) {
+        const state = this.state(provider);
+        state.used++;
+        if (remaining !== null && !Number.isNaN(remaining)) state.remaining = remaining;
+        else if (state.remaining !== null) state.remaining = Math.max(0, state.remaining - 1);
+        this.save();
+    }
+
+    /**
+     * Retires a provider until the next period after it reported its quota
+     * as used up.
+     */
+    markExhausted(provider) {
+        const state = this.state(provider);
+        const [year, month] = state.period.split('-').map(Number);
+        state.exhausted_until = new Date(Date.UTC(year, month, 1)).toISOString();
+        state.remaining = 0;
+        console.warn(`⚠️ [${provider}] quota exhausted until ${state.exhausted_until}`);
+        this.save();
+    }
+
+    snapshot() {
+        return Object.keys({ ...DEFAULT_QUOTAS, ...this.providers }).map(provider => ({
+            provider,
+            period: this.state(provider).period,
+            used: this.state(provider).used,
+            quota: this.limitFor(provider),
+            remaining: this.remaining(provider),
+            available: this.isAvailable(provider),
+            exhausted_until: this.state(provider).exhausted_until
+        }));
+    }
+
+    save() {
+        if (!this.file) return;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify(this.providers, null, 2));
+        } catch (error) {
+            console.error('Quota: failed to save state:', error.message);
+        }
+    }
+}
+
+/**
+ * True for responses that mean "quota used up" rather than a transient error:
+ * 402 Payment Required, Tavily's 432 plan limit, or a 429 that names the quota.
+ */
+export function isQuotaError(error) {
+    const status = error.response?.status;
+    const body = JSON.stringify(error.response?.data || '').toLowerCase();
+    return status === 402 || status === 432 ||
+        ((status === 429 || status === 400 || status === 403) && /quota|credit|limit exceeded|usage limit/.test(body));
+}
+
+/** Process-wide tracker; SEARCH_QUOTA_FILE=off keeps counts in memory only. */
+export const searchQuota = new QuotaTracker(
+    process.env.SEARCH_QUOTA_FILE === 'off' ? null : (process.env.SEARCH_QUOTA_FILE || path.resolve('data', 'search-quota.json'))
+);
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Iterative search refinement for web_search steps.
+ * After the planned query runs, the executor LLM reviews the results against
+ * the step, scores how well they cover it and proposes query variants
+ * (synonyms, sub-questions, time- or site-scoped queries). Variants are
+ * searched and merged into the step's results until coverage reaches the
+ * target or the round/query budget is spent. Every refinement is logged to
+ * the job timeline with the reason it happened.
+ * @module tools/refine
+ */
+
+import { SearchResponse } from './results.js';
+import { normalizeUrl } from '../agent/sources.js';
+import { parseJsonText } from '../llm.js';
+
+// Follow-up rounds after the planned query; 0 runs the planned query only
+const MAX_ROUNDS = Number(process.env.SEARCH_REFINE_ROUNDS ?? 2);
+// Total searches one step may issue, the planned query included
+const MAX_QUERIES = Number(process.env.SEARCH_REFINE_MAX_QUERIES) || 5;
+// Coverage (0-100) at which a step stops searching
+const COVERAGE_TARGET = Number(process.env.SEARCH_COVERAGE_TARGET) || 70;
+const QUERIES_PER_ROUND = 2;
+
+const QUERY_KINDS = ["synonym", "sub_question", "time_scoped", "site_scoped"];
+
+/**
+ * Asks the executor to judge the results so far.
+ * @returns {Promise<{ coverage: number, relevant: number[], missing: string,
+ *   queries: { query: string, kind: string }[] } | null>} Null when the review is unusable
+ */
+async function reviewResults(step, queries, results, llm) {
+    const listing = results
+        .map((r, i) => `[${i}] ${r.title} - ${r.url}\n    ${(r.snippet || "").substring(0, 200)}`)
+        .join("\n        ");
+
+    const prompt = `
+        SYSTEM: Search Quality Reviewer.
+        TASK: ${step.description}
+        CONTEXT: Current time is ${new Date().toISOString()}
+        QUERIES ALREADY RUN: ${queries.map(q => `"${q}"`).join(", ")}
+
+        RESULTS:
+        ${listing || "(none)"}
+
+        1. List the indices of results that are relevant to the TASK.
+        2. Estimate coverage: 0-100, how much of what the TASK needs these results cover.
+        3. If coverage is incomplete, say what is missing and propose up to ${QUERIES_PER_ROUND} new
+           short keyword queries that would find it. Each query has a kind:
+           - synonym: same question, different wording
+           - sub_question: one specific part of the TASK
+           - time_scoped: restricted to a period, e.g. a year
+           - site_scoped: restricted to an authoritative site, e.g. "site:who.int"
+           Never repeat a query that was already run.
+
+        OUTPUT (JSON only):
+        {
+            "relevant": [0, 2],
+            "coverage": 60,
+            "missing": "string",
+            "queries": [{ "query": "string", "kind": "sub_question" }]
+        }
+        `;
+
+    const raw = await llm.execute(prompt);
+    let review;
+    try {
+        review = typeof raw === "string" ? parseJsonText(raw) : raw;
+    } catch {
+        return null;
+    }
+    if (!review || typeof review !== "object" || review.error || !Number.isFinite(Number(review.coverage))) {
+        return null;
+    }
+
+    return {
+        coverage: Math.max(0, Math.min(100, Math.round(Number(review.coverage)))),
+        relevant: Array.isArray(review.relevant) ? review.relevant.filter(i => Number.isInteger(i)) : [],
+        missing: typeof review.missing === "string" ? review.missing : "",
+        queries: (Array.isArray(review.queries) ? review.queries : [])
+            .filter(q => typeof q?.query === "string" && q.query.trim())
+            .map(q => ({ query: q.query.trim(), kind: QUERY_KINDS.includes(q.kind) ? q.kind : "synonym" }))
+    };
+}
+
+/**
+ * Runs a web_search step's query and refines it until the results cover the
+ * step. Returns one SearchResponse holding the merged, de-duplicated results
+ * of every query, relevant ones first; the queries run and the final coverage
+ * are recorded on `step.metadata`.
+ * @param {string} query - The planned query
+ * @param {import('./registry.js').ToolContext} ctx
+ * @returns {Promise<SearchResponse>}
+ */
+export async function refineSearch(query, { step, llm, search, log }) {
+    const first = await search.webSearch(query);
+    // Nothing to refine when every provider failed; an empty answer is worth rephrasing
+    if (MAX_ROUNDS <= 0 || (!first.ok && first.errors.length > 0)) {
+        return first;
+    }
+
+    const queries = [query];
+    const seen = new Set(first.results.map(r => normalizeUrl(r.url)));
+    let results = [...first.results];
+    const errors = [...first.errors];
+    let review = null;
+    let rounds = 0;
+
+    while (true) {
+        review = await reviewResults(step, queries, results, llm);
+        if (!review) break;  // Unreadable review: keep what we have
+        if (review.coverage >= COVERAGE_TARGET) break;
+
+        const budgetSpent = rounds >= MAX_ROUNDS || queries.length >= MAX_QUERIES;
+        const next = review.queries
+            .filter(q => !queries.some(tried => tried.toLowerCase() === q.query.toLowerCase()))
+            .slice(0, Math.min(QUERIES_PER_ROUND, MAX_QUERIES - queries.length));
+        if (budgetSpent || next.length === 0) {
+            await log(`🔍 ${step.step_id}: stopping at ${review.coverage}% coverage (${budgetSpent ? "search budget spent" : "no new queries"})`);
+            break;
+        }
+
+        rounds++;
+        await log(`🔁 ${step.step_id}: ${review.coverage}% coverage${review.missing ? `, missing ${review.missing}` : ""} - ` +
+            `searching ${next.map(q => `"${q.query}" (${q.kind.replace("_", "-")})`).join(", ")}`);
+
+        const responses = await Promise.all(next.map(q => search.webSearch(q.query)));
+        let added = 0;
+        responses.forEach((response, i) => {
+            queries.push(next[i].query);
+            errors.push(...response.errors);
+            response.results.forEach(result => {
+                const key = normalizeUrl(result.url);
+                if (seen.has(key)) return;
+                seen.add(key);
+                results.push(result);
+                added++;
+            });
+        });
+        if (added === 0) {
+            await log(`🔍 ${step.step_id}: follow-up searches found nothing new`);
+            break;
+        }
+    }
+
+    // Relevant results first; the rest stay as context
+    if (review && review.relevant.length > 0) {
+        const relevant = new Set(review.relevant);
+        results = [...results.filter((r, i) => relevant.has(i)), ...results.filter((r, i) => !relevant.has(i))];
+    }
+    step.metadata = { queries, coverage: review?.coverage ?? null, rounds };
+
+    return new SearchResponse({ query, provider: first.provider, results, errors });
+}
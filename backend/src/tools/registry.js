@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Declarative tool registry shared by the planner and executor.
+ * Each tool declares its name, description, parameter schema and handler;
+ * the planner prompt, plan validation and executor dispatch are all
+ * derived from the registry so they cannot drift apart.
+ * @module tools/registry
+ */
+
+import { BUILTIN_TOOLS } from './builtin.js';
+
+/**
+ * @typedef {Object} ParamSpec
+ * @property {'string'|'number'|'boolean'} type
+ * @property {string} description
+ * @property {boolean} [required]
+ * @property {'url'} [format] - Extra check on string params
+ */
+
+/**
+ * @typedef {Object} ToolContext
+ * @property {import('../memory.js').Step} step
+ * @property {string} context - JSON of the results of the step's dependencies
+ * @property {import('../llm.js').LLM} llm
+ * @property {typeof import('./search.js').SearchTools} search
+ * @property {import('./corpus.js').Corpus|null} corpus - Document corpus attached to the job
+ * @property {(message: string, level?: string) => Promise<void>} log - Adds an entry to the job's log
+ */
+
+/**
+ * @typedef {Object} ToolSpec
+ * @property {string} name - Value of `tool` in plan steps
+ * @property {string} description - Shown to the planner; say when to use the tool
+ * @property {Object<string, ParamSpec>} [params]
+ * @property {(params: Object, ctx: ToolContext) => Promise<*>} handler
+ * @property {(job: import('../memory.js').JobState) => boolean} [available]
+ *   Hides the tool from jobs it cannot serve; always available when omitted
+ * @property {(result: *, step: import('../memory.js').Step, register: (source: Object) => number) => void} [registerSources]
+ *   Registers the URLs a result came from so reports can cite them
+ */
+
+function isHttpUrl(value) {
+    try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+export class ToolRegistry {
+    /** @param {ToolSpec[]} [specs] */
+    constructor(specs = []) {
+        this.tools = new Map();
+        specs.forEach(spec => this.register(spec));
+    }
+
+    /**
+     * Adds a tool, replacing any existing tool with the same name.
+     * @param {ToolSpec} spec
+     */
+    register(spec) {
+        if (!spec?.name || typeof spec.handler !== "function") {
+            throw new Error("A tool needs a name and a handler");
+        }
+        this.tools.set(spec.name, { params: {}, ...spec });
+        return this;
+    }
+
+    /** @returns {ToolSpec|null} */
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    names() {
+        return [...this.tools.keys()];
+    }
+
+    /**
+     * The subset of tools available to a job.
+     * @returns {ToolRegistry}
+     */
+    forJob(job) {
+        return new ToolRegistry([...this.tools.values()].filter(tool => !tool.available || tool.available(job)));
+    }
+
+    /**
+     * Checks step params against the tool's schema.
+     * @returns {string[]} Problems, phrased relative to the step
+     */
+    validateParams(name, params) {
+        const tool = this.get(name);
+        if (!tool) {
+            return [`uses unknown tool "${name}" (allowed: ${this.names().join(', ')})`];
+        }
+        if (params === null || typeof params !== "object" || Array.isArray(params)) {
+            return Object.values(tool.params).some(p => p.required) ? ['is missing "params"'] : [];
+        }
+
+        const errors = [];
+        for (const [key, spec] of Object.entries(tool.params)) {
+            const value = params[key];
+            if (value === undefined || value === null || value === "") {
+                if (spec.required) errors.push(`(${name}) is missing params.${key}`);
+            } else if (typeof value !== spec.type) {
+                errors.push(`(${name}) params.${key} must be a ${spec.type}`);
+            } else if (spec.format === "url" && !isHttpUrl(value)) {
+                errors.push(`(${name}) params.${key} "${value}" is not an http(s) URL`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Tool list for the planner prompt, one entry per tool with its params.
+     */
+    toPromptBlock() {
+        return [...this.tools.values()].map(tool => {
+            const params = Object.entries(tool.params)
+                .map(([key, p]) => `"${key}": ${p.type}${p.required ? " (required)" : ""} - ${p.description}`);
+            return `- ${tool.name}: ${tool.description}\n          params: ${params.length ? `{ ${params.join(', ')} }` : "{}"}`;
+        }).join('\n        ');
+    }
+
+    /**
+     * Tool list for clients, e.g. the plan editor: names, descriptions and param schemas.
+     */
+    describe() {
+        return [...this.tools.values()].map(({ name, description, params }) => ({ name, description, params }));
+    }
+}
+
+/** Registry used by default; extend it with registerTool(). */
+export const defaultTools = new ToolRegistry(BUILTIN_TOOLS);
+
+/**
+ * Makes an additional tool available to the planner and executor.
+ * @param {ToolSpec} spec
+ */
+export function registerTool(spec) {
+    defaultTools.register(spec);
+}
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Typed search result model shared by every search provider,
+ * plus the scraped page model returned by scrapeUrl.
+ * Providers never signal failure through result text; a failed call carries
+ * an explicit SearchError (or a ScrapedPage `error`) instead.
+ * @module tools/results
+ */
+
+export class SearchResult {
+    constructor({ title, url, snippet = '', provider, rank, publishedAt = null, document = null, providers = null }) {
+        this.title = title;
+        this.url = url;
+        this.snippet = snippet;
+        this.provider = provider;
+        this.rank = rank;              // 1-based position in the provider's ranking
+        this.publishedAt = publishedAt; // ISO string or provider-supplied date text
+        this.document = document;       // { corpus, file, page, section } for local documents
+        this.providers = providers || [provider];  // Every provider that returned this page (fusion mode)
+    }
+}
+
+export class SearchError {
+    constructor({ provider, message, status = null }) {
+        this.provider = provider;
+        this.message = message;
+        this.status = status; // HTTP status when the provider returned one
+    }
+}
+
+/**
+ * Outcome of a search. `results` is empty when every provider failed or
+ * found nothing; `errors` lists each provider that failed along the way.
+ */
+export class SearchResponse {
+    constructor({ query, provider = null, results = [], errors = [], pages = [] }) {
+        this.query = query;
+        this.provider = provider;
+        this.results = results.map(r => r instanceof SearchResult ? r : new SearchResult(r));
+        this.errors = errors.map(e => e instanceof SearchError ? e : new SearchError(e));
+        this.pages = pages;  // { url, title, author, published, facts } read from top hits (AUTO_SCRAPE_TOP)
+    }
+
+    get ok() {
+        return this.results.length > 0;
+    }
+}
+
+/**
+ * Readable content of one fetched page. `text` is Markdown for HTML pages and
+ * per-page text for PDFs; `error` is set (and `text` empty) when the fetch or
+ * extraction failed.
+ */
+export class ScrapedPage {
+    constructor({ url, title = null, author = null, published = null, canonical_url = null, content_type = null, text = '', error = null }) {
+        this.url = url;
+        this.title = title;
+        this.author = author;
+        this.published = published;         // Date string as published by the page
+        this.canonical_url = canonical_url;
+        this.content_type = content_type;
+        this.text = text;
+        this.error = error;
+    }
+
+    get ok() {
+        return !this.error && this.text.length > 0;
+    }
+}
+
+/**
+ * Builds a SearchError from a thrown axios/network error.
+ */
+export function toSearchError(provider, error) {
+    return new SearchError({
+        provider,
+        message: error.message,
+        status: error.response?.status ?? null
+    });
+}
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview robots.txt parsing and matching (RFC 9309).
+ * @module tools/robots
+ */
+
+/**
+ * Parsed robots.txt rules for a single user agent.
+ */
+export class RobotsRules {
+    /**
+     * @param {{ allow: boolean, pattern: string }[]} rules
+     * @param {number|null} crawlDelay - Seconds, when the site asks for one
+     */
+    constructor(rules = [], crawlDelay = null) {
+        this.rules = rules;
+        this.crawlDelay = crawlDelay;
+    }
+
+    static allowAll() {
+        return new RobotsRules();
+    }
+
+    static disallowAll() {
+        return new RobotsRules([{ allow: false, pattern: '/' }]);
+    }
+
+    /**
+     * The most specific (longest) matching rule wins; Allow wins ties.
+     * @param {string} path - Path plus query string
+     */
+    isAllowed(path) {
+        let best = null;
+        for (const rule of this.rules) {
+            if (!matches(rule.pattern, path)) continue;
+            if (!best || rule.pattern.length > best.pattern.length ||
+                (rule.pattern.length === best.pattern.length && rule.allow)) {
+                best = rule;
+            }
+        }
+        return best ? best.allow : true;
+    }
+}
+
+function matches(pattern, path) {
+    if (pattern === '') return false;
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Extracts the rules that apply to `agent`: the group naming the agent
+ * token if there is one, otherwise the `*` group.
+ * @param {string} text - robots.txt body
+ * @param {string} agent - Product token, e.g. "AutoResearchAgent"
+ * @returns {RobotsRules}
+ */
+export function parseRobots(text, agent) {
+    const token = agent.toLowerCase();
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+        if (!current) continue;
+
+        if (field === 'allow' || field === 'disallow') {
+            current.rules.push({ allow: field === 'allow', pattern: value });
+        } else if (field === 'crawl-delay' && !Number.isNaN(Number(value))) {
+            current.crawlDelay = Number(value);
+        }
+    }
+
+    const named = groups.filter(g => g.agents.some(a => a !== '*' && token.includes(a)));
+    const chosen = named.length > 0 ? named : groups.filter(g => g.agents.includes('*'));
+    const rules = chosen.flatMap(g => g.rules);
+    const crawlDelay = chosen.map(g => g.crawlDelay).find(d => d !== null) ?? null;
+    return new RobotsRules(rules, crawlDelay);
+}
@@ -1,36 +1,180 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import UserAgent from 'user-agents';
+import { SearchResult, SearchError, SearchResponse, ScrapedPage, toSearchError } from './results.js';
+import { extractContent } from './extract.js';
+import { fetchUrl, checkUrl } from './fetcher.js';
+import { responseCache, cacheKey, ttlFor } from './cache.js';
+import { searchQuota, isQuotaError } from './quota.js';
+import { normalizeUrl } from '../agent/sources.js';
+import { Throttle } from '../throttle.js';
+
+/**
+ * Minimum gap between requests to each provider, in ms.
+ * Steps run concurrently, so every provider call goes through throttle().
+ */
+const MIN_DELAY = {
+    serper: 200,
+    tavily: 500,
+    brave: 1100,      // Free tier allows 1 request/second
+    duckduckgo: 2000  // Scraping - be gentle to avoid blocks
+};
+
+const throttles = Object.fromEntries(
+    Object.entries(MIN_DELAY).map(([provider, delay]) => [provider, new Throttle(delay)])
+);
+
+const SEARCH_MODE = process.env.SEARCH_MODE === 'fusion' ? 'fusion' : 'fallback';
+
+/** Providers in fallback order; keyEnv names the key that enables them. */
+const PROVIDERS = [
+    // Serper.dev first (most reliable, uses Google)
+    { name: 'serper', keyEnv: 'SERPER_API_KEY', method: 'serperSearch' },
+    // Tavily (AI-optimized search)
+    { name: 'tavily', keyEnv: 'TAVILY_API_KEY', method: 'tavilySearch' },
+    // Brave Search
+    { name: 'brave', keyEnv: 'BRAVE_SEARCH_API_KEY', method: 'braveSearch' },
+    // Fallback to DuckDuckGo scraping
+    { name: 'duckduckgo', keyEnv: null, method: 'duckDuckGoSearch' }
+];
+
+// Reciprocal rank fusion constant; 60 is the value from the original RRF paper
+const RRF_K = 60;
+
+/**
+ * Merges several providers' rankings with reciprocal rank fusion: each
+ * result scores sum(1 / (RRF_K + rank)) over the providers that returned
+ * it, so pages several providers agree on rise to the top. Results are
+ * de-duplicated by normalized URL; the best-ranked copy supplies the title
+ * and URL, the longest snippet is kept, and `providers` records every
+ * provider that returned the page.
+ * @param {SearchResponse[]} responses
+ * @param {number} maxResults
+ * @returns {SearchResult[]}
+ */
+export function fuseRankings(responses, maxResults) {
+    const merged = new Map();  // normalized URL -> { result, score, bestRank }
+    for (const response of responses) {
+        response.results.forEach((result, i) => {
+            const rank = result.rank || i + 1;
+            const key = normalizeUrl(result.url);
+            let entry = merged.get(key);
+            if (!entry) {
+                entry = { result: new SearchResult({ ...result, providers: [] }), score: 0, bestRank: rank };
+                merged.set(key, entry);
+            }
+            entry.score += 1 / (RRF_K + rank);
+            if (!entry.result.providers.includes(result.provider)) entry.result.providers.push(result.provider);
+            if (rank < entry.bestRank) {
+                entry.bestRank = rank;
+                entry.result.title = result.title;
+                entry.result.url = result.url;
+            }
+            if (result.snippet.length > entry.result.snippet.length) entry.result.snippet = result.snippet;
+            entry.result.publishedAt = entry.result.publishedAt || result.publishedAt;
+        });
+    }
+
+    return [...merged.values()]
+        .sort((a, b) => b.score - a.score || a.bestRank - b.bestRank)
+        .slice(0, maxResults)
+        .map(({ result }, i) => Object.assign(result, { provider: 'fusion', rank: i + 1 }));
+}
+
+/**
+ * Brave reports "X-RateLimit-Remaining: <per second>, <per month>".
+ */
+function braveRemaining(headers) {
+    const values = String(headers['x-ratelimit-remaining'] || '').split(',').map(v => parseInt(v, 10));
+    return values.length > 1 && !Number.isNaN(values[values.length - 1]) ? values[values.length - 1] : null;
+}
 
 export class SearchTools {
+    static async throttle(provider) {
+        await throttles[provider].wait();
+    }
+
     /**
-     * Smart search - tries available APIs in order of preference:
+     * Smart search over the configured providers:
      * 1. Serper.dev (2500 free credits) - SERPER_API_KEY
-     * 2. Tavily (1000/month free) - TAVILY_API_KEY  
+     * 2. Tavily (1000/month free) - TAVILY_API_KEY
      * 3. Brave (2000/month free) - BRAVE_SEARCH_API_KEY
      * 4. DuckDuckGo scraping (fallback)
+     *
+     * SEARCH_MODE=fallback (default) returns the first provider in that order
+     * with results; SEARCH_MODE=fusion queries them in parallel and merges
+     * the rankings (see fuseRankings). Providers whose quota is nearly used
+     * up are skipped in both modes.
+     *
+     * Successful responses are cached per normalized query with the winning
+     * provider's TTL.
+     *
+     * @returns {Promise<SearchResponse>} Results plus the errors of any
+     *   providers that failed along the way
      */
     static async webSearch(query, maxResults = 5) {
-        // Try Serper.dev first (most reliable, uses Google)
-        if (process.env.SERPER_API_KEY) {
-            const result = await this.serperSearch(query, maxResults);
-            if (result && !result.includes('failed')) return result;
+        const key = cacheKey('search', `${SEARCH_MODE}\n${query.toLowerCase().replace(/\s+/g, ' ').trim()}\n${maxResults}`);
+        const cached = responseCache && await responseCache.get(key);
+        if (cached && cached.expires_at > Date.now()) {
+            responseCache.hit(cached, `from ${cached.provider}`);
+            return new SearchResponse({ query, ...cached.value });
         }
 
-        // Try Tavily (AI-optimized search)
-        if (process.env.TAVILY_API_KEY) {
-            const result = await this.tavilySearch(query, maxResults);
-            if (result && !result.includes('failed')) return result;
+        const response = SEARCH_MODE === 'fusion'
+            ? await this.fuseProviders(query, maxResults)
+            : await this.searchProviders(query, maxResults);
+        if (response.ok && responseCache) {
+            await responseCache.set({
+                key,
+                kind: 'search',
+                label: query,
+                provider: response.provider,
+                ttl: ttlFor(response.provider),
+                // Copy: callers annotate results with job-specific source IDs
+                value: structuredClone({ provider: response.provider, results: response.results })
+            });
         }
+        return response;
+    }
+
+    /**
+     * Providers with a key configured and quota left, in preference order.
+     * DuckDuckGo needs no key and is always last.
+     */
+    static availableProviders() {
+        return PROVIDERS.filter(p => (!p.keyEnv || process.env[p.keyEnv]) && searchQuota.isAvailable(p.name));
+    }
 
-        // Try Brave Search
-        if (process.env.BRAVE_SEARCH_API_KEY) {
-            const result = await this.braveSearch(query, maxResults);
-            if (result && !result.includes('failed')) return result;
+    static async searchProviders(query, maxResults) {
+        const errors = [];
+        for (const provider of this.availableProviders()) {
+            const response = await this[provider.method](query, maxResults);
+            errors.push(...response.errors);
+            if (response.ok) {
+                return new SearchResponse({ ...response, errors });
+            }
         }
+        return new SearchResponse({ query, errors });
+    }
 
-        // Fallback to DuckDuckGo scraping
-        return this.duckDuckGoSearch(query, maxResults);
+    /**
+     * Queries the available API providers in parallel and fuses their
+     * rankings. DuckDuckGo joins in when fewer than two API providers are
+     * available, so there is always something to fuse.
+     */
+    static async fuseProviders(query, maxResults) {
+        const available = this.availableProviders();
+        const apis = available.filter(p => p.keyEnv);
+        const providers = apis.length >= 2 ? apis : available;
+
+        console.log(`🔀 [Fusion] Searching ${providers.map(p => p.name).join(', ')} for: ${query}`);
+        const responses = await Promise.all(providers.map(p => this[p.method](query, maxResults)));
+        const errors = responses.flatMap(r => r.errors);
+        const answered = responses.filter(r => r.ok);
+        if (answered.length === 0) {
+            return new SearchResponse({ query, errors });
+        }
+        return new SearchResponse({ query, provider: 'fusion', results: fuseRankings(answered, maxResults), errors });
     }
 
     /**
@@ -39,6 +183,7 @@ export class SearchTools {
      */
     static async serperSearch(query, maxResults) {
         try {
+            await this.throttle('serper');
             console.log(`🔵 [Serper] Searching for: ${query}`);
 
             const response = await axios.post('https://google.serper.dev/search',
@@ -51,22 +196,33 @@ export class SearchTools {
                     timeout: 10000
                 }
             );
+            searchQuota.consume('serper');
 
             const results = response.data.organic || [];
 
             if (results.length === 0) {
                 console.log('No Serper results found.');
-                return null;
+                return new SearchResponse({ query, provider: 'serper' });
             }
 
             console.log(`✅ [Serper] Found ${results.length} results`);
-            return results.map(r =>
-                `Title: ${r.title}\nURL: ${r.link}\nSnippet: ${r.snippet || ''}\n`
-            ).join("\n---\n");
+            return new SearchResponse({
+                query,
+                provider: 'serper',
+                results: results.map((r, i) => new SearchResult({
+                    title: r.title,
+                    url: r.link,
+                    snippet: r.snippet || '',
+                    provider: 'serper',
+                    rank: i + 1,
+                    publishedAt: r.date || null
+                }))
+            });
 
         } catch (error) {
             console.error('Serper Error:', error.message);
-            return `Serper search failed: ${error.message}`;
+            if (isQuotaError(error)) searchQuota.markExhausted('serper');
+            return new SearchResponse({ query, provider: 'serper', errors: [toSearchError('serper', error)] });
         }
     }
 
@@ -76,6 +232,7 @@ export class SearchTools {
      */
     static async tavilySearch(query, maxResults) {
         try {
+            await this.throttle('tavily');
             console.log(`🟣 [Tavily] Searching for: ${query}`);
 
             const response = await axios.post('https://api.tavily.com/search',
@@ -87,22 +244,33 @@ export class SearchTools {
                 },
                 { timeout: 10000 }
             );
+            searchQuota.consume('tavily');
 
             const results = response.data.results || [];
 
             if (results.length === 0) {
                 console.log('No Tavily results found.');
-                return null;
+                return new SearchResponse({ query, provider: 'tavily' });
             }
 
             console.log(`✅ [Tavily] Found ${results.length} results`);
-            return results.map(r =>
-                `Title: ${r.title}\nURL: ${r.url}\nSnippet: ${r.content?.substring(0, 300) || ''}\n`
-            ).join("\n---\n");
+            return new SearchResponse({
+                query,
+                provider: 'tavily',
+                results: results.map((r, i) => new SearchResult({
+                    title: r.title,
+                    url: r.url,
+                    snippet: r.content?.substring(0, 300) || '',
+                    provider: 'tavily',
+                    rank: i + 1,
+                    publishedAt: r.published_date || null
+                }))
+            });
 
         } catch (error) {
             console.error('Tavily Error:', error.message);
-            return `Tavily search failed: ${error.message}`;
+            if (isQuotaError(error)) searchQuota.markExhausted('tavily');
+            return new SearchResponse({ query, provider: 'tavily', errors: [toSearchError('tavily', error)] });
         }
     }
 
@@ -112,6 +280,7 @@ export class SearchTools {
      */
     static async braveSearch(query, maxResults) {
         try {
+            await this.throttle('brave');
             console.log(`🟠 [Brave] Searching for: ${query}`);
 
             const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
@@ -128,22 +297,33 @@ export class SearchTools {
                 },
                 timeout: 10000
             });
+            searchQuota.consume('brave', braveRemaining(response.headers));
 
             const results = response.data.web?.results || [];
 
             if (results.length === 0) {
                 console.log('No Brave results found.');
-                return null;
+                return new SearchResponse({ query, provider: 'brave' });
             }
 
             console.log(`✅ [Brave] Found ${results.length} results`);
-            return results.map(r =>
-                `Title: ${r.title}\nURL: ${r.url}\nSnippet: ${r.description || ''}\n`
-            ).join("\n---\n");
+            return new SearchResponse({
+                query,
+                provider: 'brave',
+                results: results.map((r, i) => new SearchResult({
+                    title: r.title,
+                    url: r.url,
+                    snippet: r.description || '',
+                    provider: 'brave',
+                    rank: i + 1,
+                    publishedAt: r.page_age || r.age || null
+                }))
+            });
 
         } catch (error) {
             console.error('Brave Error:', error.message);
-            return `Brave search failed: ${error.message}`;
+            if (isQuotaError(error)) searchQuota.markExhausted('brave');
+            return new SearchResponse({ query, provider: 'brave', errors: [toSearchError('brave', error)] });
         }
     }
 
@@ -160,6 +340,7 @@ export class SearchTools {
                 const encodedQuery = encodeURIComponent(query);
                 const url = `https://html.duckduckgo.com/html/?q=${encodedQuery}`;
 
+                await this.throttle('duckduckgo');
                 console.log(`🦆 [DuckDuckGo] Searching for: ${query}`);
 
                 const response = await axios.get(url, {
@@ -233,13 +414,21 @@ export class SearchTools {
                         await new Promise(resolve => setTimeout(resolve, waitTime));
                         continue;
                     }
-                    return "No search results found. The AI will use its knowledge base instead.";
+                    return new SearchResponse({ query, provider: 'duckduckgo' });
                 }
 
                 console.log(`✅ [DuckDuckGo] Found ${results.length} results`);
-                return results.map(r =>
-                    `Title: ${r.title}\nURL: ${r.link}\nSnippet: ${r.snippet}\n`
-                ).join("\n---\n");
+                return new SearchResponse({
+                    query,
+                    provider: 'duckduckgo',
+                    results: results.map((r, i) => new SearchResult({
+                        title: r.title,
+                        url: r.link,
+                        snippet: r.snippet,
+                        provider: 'duckduckgo',
+                        rank: i + 1
+                    }))
+                });
 
             } catch (error) {
                 console.error(`DuckDuckGo Error (Attempt ${attempt + 1}/${maxRetries}):`, error.message);
@@ -249,39 +438,73 @@ export class SearchTools {
                     console.log(`Retrying in ${waitTime}ms...`);
                     await new Promise(resolve => setTimeout(resolve, waitTime));
                 } else {
-                    return "Search temporarily unavailable. The AI will use its knowledge base to provide information.";
+                    return new SearchResponse({ query, provider: 'duckduckgo', errors: [toSearchError('duckduckgo', error)] });
                 }
             }
         }
-        return "Search unavailable. The AI will use its knowledge base.";
+        return new SearchResponse({
+            query,
+            provider: 'duckduckgo',
+            errors: [new SearchError({ provider: 'duckduckgo', message: 'Search unavailable' })]
+        });
     }
 
+    /**
+     * Fetches a page through the safe fetch layer (robots.txt, per-host
+     * politeness, SSRF guard, size cap) and extracts its main content.
+     * Extracted pages are cached; once stale they are revalidated with
+     * If-None-Match/If-Modified-Since and reused on a 304.
+     * @returns {Promise<ScrapedPage>} Never throws; failures set `error`
+     */
     static async scrapeUrl(url) {
+        const key = cacheKey('page', url.trim().split('#')[0]);
+        const cached = responseCache && await responseCache.get(key);
+
         try {
-            const userAgent = new UserAgent({ deviceCategory: 'desktop' }).toString();
-            const response = await axios.get(url, {
+            if (cached && cached.expires_at > Date.now()) {
+                // A cached copy is only served where a fresh fetch would be allowed
+                await checkUrl(url);
+                responseCache.hit(cached, 'fresh');
+                return new ScrapedPage(cached.value);
+            }
+
+            const response = await fetchUrl(url, {
                 headers: {
-                    'User-Agent': userAgent,
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.5'
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,application/pdf;q=0.9,text/plain;q=0.8,*/*;q=0.5',
+                    'Accept-Language': 'en-US,en;q=0.5',
+                    ...(cached?.etag && { 'If-None-Match': cached.etag }),
+                    ...(cached?.last_modified && { 'If-Modified-Since': cached.last_modified })
                 },
-                timeout: 15000
+                responseType: 'arraybuffer',  // Decoded by extractContent with the page's own charset
+                validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
             });
 
-            const $ = cheerio.load(response.data);
-            $('script, style, nav, footer, header, aside, .ad, .advertisement').remove();
-
-            let text = $('article, main, .content, #content, .post, .article, .entry-content').text();
-
-            if (!text || text.length < 100) {
-                text = $('body').text();
+            if (response.status === 304) {
+                await responseCache.refresh(cached, ttlFor('page'));
+                responseCache.hit(cached, 'revalidated');
+                return new ScrapedPage(cached.value);
             }
 
-            text = text.replace(/\s+/g, ' ').trim();
-            return text.substring(0, 20000);
+            const finalUrl = response.request?.res?.responseUrl || url;
+            const content = await extractContent(Buffer.from(response.data), response.headers['content-type'], finalUrl);
+            const page = new ScrapedPage({ url, ...content });
+
+            if (responseCache && page.ok && !/no-store/i.test(response.headers['cache-control'] || '')) {
+                await responseCache.set({
+                    key,
+                    kind: 'page',
+                    label: url,
+                    provider: null,
+                    ttl: ttlFor('page'),
+                    etag: response.headers.etag || null,
+                    last_modified: response.headers['last-modified'] || null,
+                    value: { ...page }
+                });
+            }
+            return page;
         } catch (error) {
             console.error(`Scrape Error for ${url}:`, error.message);
-            return `Failed to scrape URL: ${error.message}`;
+            return new ScrapedPage({ url, error: error.message });
         }
     }
 }
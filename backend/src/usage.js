@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Per-call LLM usage accounting.
+ * Providers report every call through recordUsage(); the job that made the
+ * call is found through an AsyncLocalStorage scope opened by the controller,
+ * so the shared LLM instance never needs to know about job IDs.
+ * @module usage
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/** @type {AsyncLocalStorage<{ onUsage: (record: UsageRecord) => void }>} */
+export const usageScope = new AsyncLocalStorage();
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} timestamp
+ * @property {string|null} role - planner, executor, verifier or reporter
+ * @property {string} provider - Provider name from the LLM config
+ * @property {string} model
+ * @property {number} prompt_tokens
+ * @property {number} completion_tokens
+ * @property {boolean} estimated - True when the provider reported no token counts
+ * @property {number} latency_ms
+ * @property {number} retries - Rate-limit retries before the call settled
+ * @property {boolean} fallback - Served by a provider further down the role's chain
+ * @property {boolean} ok
+ * @property {string|null} error
+ * @property {number|null} cost_usd - Null when the model has no price configured
+ */
+
+/**
+ * Rough token estimate for providers that don't report usage.
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Prices are USD per million tokens.
+ * @param {{ input: number, output: number } | null} price
+ */
+export function estimateCost(price, promptTokens, completionTokens) {
+    if (!price) return null;
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Hands a usage record to the job whose scope the call runs in.
+ * Calls made outside any job scope are not tracked.
+ * @param {UsageRecord} record
+ */
+export function recordUsage(record) {
+    const scope = usageScope.getStore();
+    if (scope) {
+        scope.onUsage(record);
+    }
+}
+
+function emptyTotals() {
+    return { calls: 0, failed_calls: 0, retries: 0, prompt_tokens: 0, completion_tokens: 0, latency_ms: 0, cost_usd: 0 };
+}
+
+function addTo(totals, record) {
+    totals.calls++;
+    if (!record.ok) totals.failed_calls++;
+    totals.retries += record.retries;
+    totals.prompt_tokens += record.prompt_tokens;
+    totals.completion_tokens += record.completion_tokens;
+    totals.latency_ms += record.latency_ms;
+    totals.cost_usd += record.cost_usd || 0;
+}
+
+/**
+ * Aggregates usage records overall, by agent role and by provider.
+ * @param {UsageRecord[]} records
+ */
+export function summarizeUsage(records) {
+    const summary = { total: emptyTotals(), by_role: {}, by_provider: {}, fallbacks: 0 };
+
+    for (const record of records) {
+        addTo(summary.total, record);
+        const role = record.role || 'other';
+        addTo(summary.by_role[role] = summary.by_role[role] || emptyTotals(), record);
+        addTo(summary.by_provider[record.provider] = summary.by_provider[record.provider] || emptyTotals(), record);
+        if (record.fallback) summary.fallbacks++;
+    }
+    return summary;
+}
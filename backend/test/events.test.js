@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Controller } from '../src/agent/controller.js';
+import { MemoryStore } from '../src/store.js';
+import { FakeLLM, FakeSearchTools } from '../src/testing/fakes.js';
+import { startJob, parseEvent } from '../src/testing/jobs.js';
+
+const PLAN = {
+    reasoning: "Search, then analyze",
+    steps: [
+        { step_id: "step_1", description: "Find EV sales figures", tool: "web_search", params: { query: "ev sales 2024" }, dependencies: [] },
+        { step_id: "step_2", description: "Explain the sales trend", tool: "analyze_content", params: {}, dependencies: ["step_1"] }
+    ]
+};
+
+function fakeLLM({ draftReviews = [{ status: "pass", quality_score: 80, issues: [], claims: [] }] } = {}) {
+    let reviews = 0;
+    return new FakeLLM({
+        planner: [PLAN],
+        executor: () => "Sales grew 35% year on year.",
+        verifier: (prompt) => prompt.includes("DRAFT REPORT")
+            ? draftReviews[Math.min(reviews++, draftReviews.length - 1)]
+            : { status: "pass", quality_score: 85 },
+        reporter: (prompt) => {
+            if (prompt.includes("Outline a")) return '{"title": "EV Market", "sections": []}';
+            if (prompt.includes("Revise a")) return "# EV Market\n\n## Summary\n\nRevised text [1].";
+            return "Sales grew 35% [1].";
+        }
+    });
+}
+
+const search = () => new FakeSearchTools({
+    results: { "*": [{ title: "EV Outlook", url: "https://example.com/ev", snippet: "Sales grew 35%." }] }
+});
+
+const statuses = (events) => events.filter(e => e.event === "status").map(e => e.data.status);
+const indexOf = (events, predicate) => events.findIndex(predicate);
+
+test("SSE frames are written in the event-stream format", () => {
+    assert.deepEqual(parseEvent('event: status\ndata: {"status":"planning"}\n\n'), { event: "status", data: { status: "planning" } });
+    assert.throws(() => parseEvent('data: {}\n\n'), /Malformed SSE frame/);
+});
+
+test("a job's status events follow the pipeline in order and the result follows completion", async () => {
+    const llm = fakeLLM();
+    const controller = new Controller({ store: new MemoryStore(), llm, search: search() });
+
+    const { events, done } = startJob(controller, "EV market");
+    const job = await done;
+
+    assert.deepEqual(statuses(events), ["planning", "executing", "verifying", "writing", "verifying", "completed"]);
+    const result = indexOf(events, e => e.event === "result");
+    assert.deepEqual(events[result - 1], { event: "status", data: { status: "completed" } });
+    assert.equal(events[result].data.report, job.final_report);
+    assert.deepEqual(events[result].data.report_info, job.report_info);
+    // Only the closing log line comes after the result
+    assert.deepEqual(events.slice(result + 1).map(e => e.data.message), ["🎉 Research completed!"]);
+    // One usage event per LLM call
+    assert.equal(events.filter(e => e.event === "usage").length, llm.calls.length);
+});
+
+test("dependent steps are logged after the steps they wait for", async () => {
+    const controller = new Controller({ store: new MemoryStore(), llm: fakeLLM(), search: search() });
+
+    const { events, done } = startJob(controller, "EV market");
+    await done;
+
+    const logged = (text) => indexOf(events, e => e.event === "log" && e.data.message.includes(text));
+    const step1Done = logged("✅ step_1 done");
+    const step2Start = logged("⚡ [Fake] Explain the sales trend");
+    assert.ok(step1Done > 0);
+    assert.ok(step2Start > step1Done);
+    assert.ok(logged("✅ step_2 done") > step2Start);
+});
+
+test("report chunks stream between the writing status and the result", async () => {
+    const controller = new Controller({ store: new MemoryStore(), llm: fakeLLM(), search: search() });
+
+    const { events, done } = startJob(controller, "EV market");
+    const job = await done;
+
+    const writing = indexOf(events, e => e.event === "status" && e.data.status === "writing");
+    const result = indexOf(events, e => e.event === "result");
+    const chunks = events.map((e, i) => [e, i]).filter(([e]) => e.event === "report_chunk");
+    assert.ok(chunks.length > 0);
+    assert.ok(chunks.every(([, i]) => i > writing && i < result));
+
+    const streamed = chunks.reduce((text, [e]) => e.data.reset ? e.data.draft : text + e.data.delta, "");
+    assert.match(streamed, /^# EV Market\n\n## /);
+    assert.ok(job.final_report.startsWith(streamed.trimEnd()));
+});
+
+test("a revision resets the streamed draft before streaming the revised text", async () => {
+    const controller = new Controller({
+        store: new MemoryStore(),
+        llm: fakeLLM({ draftReviews: [{ status: "revise", quality_score: 50, issues: ["Too short"], claims: [] }, { status: "pass", quality_score: 85, claims: [] }] }),
+        search: search()
+    });
+
+    const { events, done } = startJob(controller, "EV market");
+    const job = await done;
+
+    assert.deepEqual(statuses(events), ["planning", "executing", "verifying", "writing", "verifying", "writing", "verifying", "completed"]);
+    const reset = indexOf(events, e => e.event === "report_chunk" && e.data.reset);
+    const revising = indexOf(events, e => e.event === "log" && e.data.message.includes("Revising draft"));
+    assert.ok(reset > revising);
+    assert.equal(events[reset].data.draft, "");
+
+    const streamed = events.slice(reset + 1).filter(e => e.event === "report_chunk").map(e => e.data.delta).join("");
+    assert.equal(streamed, "# EV Market\n\n## Summary\n\nRevised text [1].");
+    assert.equal(job.report_info.stage, "revision");
+});
+
+test("a failed job ends with its failed status and sends no result", async () => {
+    const llm = new FakeLLM({ planner: [{ error: "not valid JSON" }] });
+    const controller = new Controller({ store: new MemoryStore(), llm, search: search() });
+
+    const { events, done } = startJob(controller, "EV market");
+    await done;
+
+    assert.deepEqual(statuses(events), ["planning", "failed"]);
+    assert.equal(events.filter(e => e.event === "result").length, 0);
+    assert.equal(events.at(-1).event, "log");
+    assert.equal(events.at(-1).data.level, "error");
+});
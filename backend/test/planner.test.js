@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Controller } from '../src/agent/controller.js';
+import { PlannerAgent } from '../src/agent/agents.js';
+import { PlanValidationError } from '../src/agent/schema.js';
+import { MemoryStore } from '../src/store.js';
+import { FakeLLM, FakeSearchTools } from '../src/testing/fakes.js';
+import { startJob } from '../src/testing/jobs.js';
+
+const PLAN = {
+    reasoning: "One search is enough",
+    steps: [
+        { step_id: "step_1", description: "Find EV sales figures", tool: "web_search", params: { query: "ev sales 2024" }, dependencies: [] }
+    ]
+};
+
+// What the LLM layer returns when a provider's output is not JSON
+const UNPARSEABLE = { error: "Unexpected token 'H', \"Here is th\"... is not valid JSON" };
+
+const finished = {
+    executor: () => "Sales grew 35% year on year.",
+    verifier: (prompt) => prompt.includes("DRAFT REPORT")
+        ? { status: "pass", quality_score: 80, issues: [], claims: [] }
+        : { status: "pass", quality_score: 80 },
+    reporter: (prompt) => prompt.includes("Outline a") ? '{"title": "EV Market", "sections": []}' : "Text [1]."
+};
+
+test("unparseable planner output is repaired in one round-trip", async () => {
+    const llm = new FakeLLM({ planner: [UNPARSEABLE, PLAN] });
+    const planner = new PlannerAgent(llm);
+
+    const plan = await planner.createPlan("EV market");
+
+    const [, repair] = llm.calls.map(c => c.prompt);
+    assert.match(repair, /YOUR PREVIOUS OUTPUT:\s+\(not valid JSON\)/);
+    assert.match(repair, /IT FAILED VALIDATION:/);
+    assert.deepEqual(plan.steps.map(s => s.step_id), ["step_1"]);
+    assert.equal(plan.steps[0].status, "pending");
+});
+
+test("a plan naming an unknown tool is sent back with the validation errors", async () => {
+    const bad = { ...PLAN, steps: [{ ...PLAN.steps[0], tool: "google_it" }] };
+    const llm = new FakeLLM({ planner: [bad, PLAN] });
+    const planner = new PlannerAgent(llm);
+    const repairs = [];
+
+    await planner.createPlan("EV market", { onRepair: (errors) => repairs.push(errors) });
+
+    assert.equal(repairs.length, 1);
+    assert.ok(repairs[0].some(e => e.includes('unknown tool "google_it"')));
+    assert.match(llm.calls[1].prompt, /"tool":"google_it"/);
+});
+
+test("output still invalid after repair throws PlanValidationError", async () => {
+    const llm = new FakeLLM({ planner: [UNPARSEABLE, { reasoning: "no steps" }] });
+    const planner = new PlannerAgent(llm);
+
+    await assert.rejects(planner.createPlan("EV market"), PlanValidationError);
+    assert.equal(llm.calls.length, 2);
+});
+
+test("a job whose planner output can't be repaired fails before executing", async () => {
+    const llm = new FakeLLM({ planner: [UNPARSEABLE], ...finished });
+    const search = new FakeSearchTools();
+    const controller = new Controller({ store: new MemoryStore(), llm, search });
+
+    const job = await startJob(controller, "EV market").done;
+
+    assert.equal(job.status, "failed");
+    assert.ok(job.logs.some(l => l.message.startsWith("🔧 Plan failed validation") && l.level === "warning"));
+    assert.ok(job.logs.at(-1).message.startsWith("❌ Planner returned an invalid plan after repair"));
+    assert.equal(llm.calls.filter(c => c.role !== "planner").length, 0);
+    assert.deepEqual(search.queries, []);
+    assert.equal(job.final_report, null);
+});
+
+test("a job recovers from malformed planner JSON and completes", async () => {
+    const llm = new FakeLLM({ planner: [UNPARSEABLE, PLAN], ...finished });
+    const search = new FakeSearchTools({ results: { "*": [{ title: "EV Outlook", url: "https://example.com/ev" }] } });
+    const controller = new Controller({ store: new MemoryStore(), llm, search });
+
+    const job = await startJob(controller, "EV market").done;
+
+    assert.equal(job.status, "completed");
+    assert.deepEqual(search.queries, ["ev sales 2024"]);
+    assert.deepEqual(job.plan.steps.map(s => [s.step_id, s.status]), [["step_1", "completed"]]);
+});
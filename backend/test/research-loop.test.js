@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Controller } from '../src/agent/controller.js';
+import { MemoryStore } from '../src/store.js';
+import { TemplateLibrary } from '../src/agent/templates.js';
+import { FakeLLM, FakeSearchTools } from '../src/testing/fakes.js';
+import { startJob } from '../src/testing/jobs.js';
+
+const PLAN = {
+    reasoning: "Size the market, then explain it",
+    steps: [
+        { step_id: "step_1", description: "Find EV sales figures", tool: "web_search", params: { query: "ev sales 2024" }, dependencies: [] },
+        { step_id: "step_2", description: "Explain the sales trend", tool: "analyze_content", params: {}, dependencies: ["step_1"] }
+    ]
+};
+
+const DRAFT_REVIEW = { status: "pass", quality_score: 80, issues: [], claims: [] };
+
+const search = () => new FakeSearchTools({
+    results: { "*": [{ title: "EV Outlook 2024", url: "https://example.com/ev-outlook", snippet: "14 million EVs were sold in 2023." }] }
+});
+
+/** Research verdicts in order (the last one repeats); draft reviews always pass. */
+function verifier(verdicts) {
+    let attempt = 0;
+    return (prompt) => prompt.includes("DRAFT REPORT")
+        ? DRAFT_REVIEW
+        : verdicts[Math.min(attempt++, verdicts.length - 1)];
+}
+
+const reporter = (prompt) => prompt.includes("Outline a")
+    ? JSON.stringify({ title: "EV Market", sections: [] })
+    : "About 14 million EVs were sold in 2023 [1].";
+
+test("a rejected attempt is replanned with the verifier's feedback", async () => {
+    const llm = new FakeLLM({
+        planner: [PLAN],
+        executor: () => "Sales grew 35% year on year.",
+        verifier: verifier([
+            { status: "reject", quality_score: 35, feedback: "Needs regional sales figures" },
+            { status: "pass", quality_score: 85 }
+        ]),
+        reporter
+    });
+    const controller = new Controller({ store: new MemoryStore(), llm, search: search() });
+
+    const job = await startJob(controller, "EV market").done;
+
+    const plannerPrompts = llm.calls.filter(c => c.role === "planner").map(c => c.prompt);
+    assert.equal(plannerPrompts.length, 2);
+    assert.match(plannerPrompts[0], /FEEDBACK FROM PREVIOUS ATTEMPT: None/);
+    assert.match(plannerPrompts[1], /FEEDBACK FROM PREVIOUS ATTEMPT: Needs regional sales figures/);
+    assert.ok(job.logs.some(l => l.message === "⚠️ Needs regional sales figures" && l.level === "warning"));
+    assert.ok(job.logs.some(l => l.message === "🔄 Attempt 2/2"));
+
+    assert.equal(job.status, "completed");
+    assert.equal(job.report_info.research_passed, true);
+    assert.equal(job.report_info.research_score, 85);
+});
+
+test("research that never passes still gets an unverified report", async () => {
+    const llm = new FakeLLM({
+        planner: [PLAN],
+        executor: () => "Sales grew 35% year on year.",
+        verifier: verifier([{ status: "reject", quality_score: 20, feedback: "Too thin" }]),
+        reporter
+    });
+    const controller = new Controller({ store: new MemoryStore(), llm, search: search() });
+
+    const job = await startJob(controller, "EV market").done;
+
+    assert.equal(llm.calls.filter(c => c.role === "planner").length, 2);
+    assert.ok(job.logs.some(l => l.message.includes("Research did not pass verification")));
+    assert.equal(job.status, "completed");
+    assert.match(job.final_report, /^# EV Market\n/);
+    assert.match(job.final_report, /\[1\]/);
+    assert.match(job.final_report, /## References\n\n- \[1\] \[EV Outlook 2024\]\(https:\/\/example\.com\/ev-outlook\)/);
+    assert.equal(job.report_info.research_passed, false);
+    assert.equal(job.report_info.research_score, 20);
+    assert.equal(job.report_info.verified, false);
+    assert.equal(job.report_info.stage, "draft");
+});
+
+test("an unusable outline falls back to the template's sections", async () => {
+    const llm = new FakeLLM({
+        planner: [PLAN],
+        executor: () => "Sales grew 35% year on year.",
+        verifier: verifier([{ status: "pass", quality_score: 90 }]),
+        // Unusable outline: the template's sections are drafted from all findings
+        reporter: (prompt) => prompt.includes("Outline a") ? "Error: provider down" : "Sales rose [1]."
+    });
+    const templates = new TemplateLibrary();
+    const controller = new Controller({ store: new MemoryStore(), llm, search: search(), templates });
+
+    const job = await startJob(controller, "EV market", { template: "standard" }).done;
+
+    assert.equal(job.status, "completed");
+    assert.match(job.final_report, /^# EV market\n/);
+    const { sections } = await templates.get("standard");
+    const headings = job.final_report.match(/^## .+$/gm);
+    assert.deepEqual(headings, [...sections.map(s => `## ${s.title}`), "## References"]);
+    assert.equal(job.final_report.split("Sales rose [1].").length - 1, sections.length);
+});
@@ -2,6 +2,10 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Sparkles, ArrowRight, Zap, Shield, Globe, ChevronRight, Search, Users, BarChart3, Clock, Star, ExternalLink, Mail, Lock, BookOpen, Sun, Moon } from 'lucide-react';
 import MissionControl from './components/MissionControl';
 import Modal from './components/Modal';
+import History from './components/History';
+import CorpusPicker from './components/CorpusPicker';
+import TemplatePicker from './components/TemplatePicker';
+import AdvancedOptions from './components/AdvancedOptions';
 
 // Custom hook for scroll reveal animations
 function useScrollReveal() {
@@ -28,9 +32,13 @@ function useScrollReveal() {
 function App() {
     const [jobId, setJobId] = useState(null);
     const [topic, setTopic] = useState('');
+    const [corpus, setCorpus] = useState(null);
+    const [template, setTemplate] = useState('standard');
+    const [options, setOptions] = useState({ depth: 'standard', max_steps: '', max_searches: '', max_tokens: '', max_minutes: '', clarify: true, review_plan: true });
     const [isLoading, setIsLoading] = useState(false);
     const [showSignIn, setShowSignIn] = useState(false);
     const [showDocs, setShowDocs] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
     const [isDarkMode, setIsDarkMode] = useState(false);
     const searchRef = useRef(null);
 
@@ -56,13 +64,14 @@ function App() {
             const res = await fetch(`${import.meta.env.VITE_API_URL || ''}/api/v1/jobs`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ topic }),
+                body: JSON.stringify({ topic, corpus, template, ...options }),
             });
             const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
             setJobId(data.job_id);
         } catch (err) {
             console.error(err);
-            alert('Failed to start research');
+            alert(`Failed to start research${err.message ? `: ${err.message}` : ''}`);
         } finally {
             setIsLoading(false);
         }
@@ -84,7 +93,22 @@ function App() {
     };
 
     if (jobId) {
-        return <MissionControl jobId={jobId} onReset={() => setJobId(null)} />;
+        return (
+            <MissionControl
+                jobId={jobId}
+                onReset={() => setJobId(null)}
+                onViewHistory={() => { setJobId(null); setShowHistory(true); }}
+            />
+        );
+    }
+
+    if (showHistory) {
+        return (
+            <History
+                onOpen={(id) => { setShowHistory(false); setJobId(id); }}
+                onBack={() => setShowHistory(false)}
+            />
+        );
     }
 
     const suggestions = [
@@ -141,6 +165,7 @@ function App() {
                             <button onClick={scrollToFeatures} className="nav-pill">Features</button>
                             <button onClick={() => setShowDocs(true)} className="nav-pill">Docs</button>
                             <button onClick={scrollToPricing} className="nav-pill">Pricing</button>
+                            <button onClick={() => setShowHistory(true)} className="nav-pill">History</button>
                         </div>
                     </div>
 
@@ -238,6 +263,13 @@ function App() {
                         </div>
                     </form>
 
+                    {/* Report template, research depth and local documents */}
+                    <div className="flex flex-wrap justify-center gap-3 hero-text-reveal-delay-2">
+                        <TemplatePicker value={template} onChange={setTemplate} />
+                        <AdvancedOptions value={options} onChange={setOptions} />
+                        <CorpusPicker value={corpus} onChange={setCorpus} />
+                    </div>
+
                     {/* Suggestions */}
                     <div className="flex flex-wrap justify-center gap-3 hero-text-reveal-delay-2">
                         <span className="text-sm text-slate-500">Try:</span>
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import { SlidersHorizontal, X } from 'lucide-react';
+
+const API = `${import.meta.env.VITE_API_URL || ''}/api/v1/depths`;
+
+const depthLabel = (id) => id.charAt(0).toUpperCase() + id.slice(1);
+
+const LIMITS = [
+    { key: 'max_steps', label: 'Max steps', step: 1 },
+    { key: 'max_searches', label: 'Max searches', step: 1 },
+    { key: 'max_tokens', label: 'Max LLM tokens', step: 1000 },
+    { key: 'max_minutes', label: 'Time limit (min)', step: 1 }
+];
+
+// Research depth, budget overrides and human-in-the-loop stages for the next job; empty limits use the depth's preset
+export default function AdvancedOptions({ value, onChange }) {
+    const [depths, setDepths] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Presets come from the backend so the placeholders show the limits it will apply
+    useEffect(() => {
+        const loadDepths = async () => {
+            try {
+                const res = await fetch(API);
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load research depths');
+                setDepths(data.depths);
+            } catch (err) {
+                console.error(err);
+                setError(err.message);
+            }
+        };
+        loadDepths();
+    }, []);
+
+    const preset = depths.find(d => d.id === value.depth);
+    const overrides = LIMITS.filter(l => value[l.key] !== '').length;
+
+    if (!isOpen) {
+        return (
+            <button
+                type="button"
+                onClick={() => setIsOpen(true)}
+                className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-slate-50 border border-slate-200 text-sm text-slate-600
+                           hover:bg-indigo-50 hover:border-indigo-200 hover:text-indigo-700 transition-all duration-300"
+            >
+                <SlidersHorizontal className="w-4 h-4" />
+                {`${depthLabel(value.depth)} research${overrides > 0 ? ` · ${overrides} custom limit${overrides === 1 ? '' : 's'}` : ''}${value.clarify ? '' : ' · no questions'}${value.review_plan ? '' : ' · no plan review'}`}
+            </button>
+        );
+    }
+
+    return (
+        <div className="glass-card p-4 max-w-2xl mx-auto text-left space-y-3">
+            <div className="flex items-center justify-between">
+                <p className="flex items-center gap-2 text-sm font-medium text-slate-900">
+                    <SlidersHorizontal className="w-4 h-4 text-indigo-500" />
+                    Advanced
+                </p>
+                <button type="button" onClick={() => setIsOpen(false)} className="text-slate-400 hover:text-slate-600">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="flex gap-2">
+                {depths.map(depth => (
+                    <button
+                        key={depth.id}
+                        type="button"
+                        onClick={() => onChange({ ...value, depth: depth.id })}
+                        className={`flex-1 px-3 py-2 rounded-lg border text-sm transition-colors ${depth.id === value.depth
+                            ? 'border-indigo-400 bg-indigo-50 text-indigo-700'
+                            : 'border-slate-200 bg-white text-slate-600 hover:border-indigo-200'}`}
+                    >
+                        {depthLabel(depth.id)}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {LIMITS.map(limit => (
+                    <label key={limit.key} className="text-xs text-slate-500">
+                        {limit.label}
+                        <input
+                            type="number"
+                            min={limit.key === 'max_minutes' ? 0.5 : 1}
+                            step={limit.step}
+                            value={value[limit.key]}
+                            onChange={(e) => onChange({ ...value, [limit.key]: e.target.value })}
+                            placeholder={preset ? String(preset[limit.key]) : ''}
+                            className="mt-1 w-full px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm text-slate-700 outline-none"
+                        />
+                    </label>
+                ))}
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-slate-600">
+                <input
+                    type="checkbox"
+                    checked={value.clarify}
+                    onChange={(e) => onChange({ ...value, clarify: e.target.checked })}
+                />
+                Ask me clarifying questions when the topic is vague
+            </label>
+            <label className="flex items-center gap-2 text-sm text-slate-600">
+                <input
+                    type="checkbox"
+                    checked={value.review_plan}
+                    onChange={(e) => onChange({ ...value, review_plan: e.target.checked })}
+                />
+                Let me review and edit the plan before it runs
+            </label>
+
+            {error && <p className="text-xs text-red-500">{error}</p>}
+            <p className="text-xs text-slate-500">When a limit is reached the research stops and a partial report is written from what was found.</p>
+        </div>
+    );
+}
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { ExternalLink, FileText } from 'lucide-react';
+
+// Inline [n] citation that reveals the source snippet on hover/focus
+export default function Citation({ id, source }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    if (!source) {
+        return <sup className="text-slate-400">[{id}]</sup>;
+    }
+
+    // Local documents have no web page to link to
+    const isDocument = Boolean(source.document);
+    const Marker = isDocument ? 'button' : 'a';
+    const linkProps = isDocument ? { type: 'button' } : { href: source.url, target: '_blank', rel: 'noopener noreferrer' };
+
+    return (
+        <span
+            className="relative inline-block"
+            onMouseEnter={() => setIsOpen(true)}
+            onMouseLeave={() => setIsOpen(false)}
+        >
+            <Marker
+                {...linkProps}
+                onFocus={() => setIsOpen(true)}
+                onBlur={() => setIsOpen(false)}
+                className="text-xs font-semibold text-indigo-600 dark:text-indigo-400 no-underline hover:underline align-super"
+            >
+                [{id}]
+            </Marker>
+            {isOpen && (
+                <span className="absolute z-50 left-0 top-full mt-1 w-80 p-3 rounded-lg shadow-xl text-left
+                                 bg-white border border-slate-200 dark:bg-slate-800 dark:border-slate-700 print-hide">
+                    <span className="flex items-start justify-between gap-2">
+                        <span className="block text-sm font-medium text-slate-900 dark:text-slate-100">{source.title}</span>
+                        {isDocument
+                            ? <FileText className="w-3 h-3 shrink-0 text-slate-400 mt-1" />
+                            : <ExternalLink className="w-3 h-3 shrink-0 text-slate-400 mt-1" />}
+                    </span>
+                    <span className="block text-xs text-slate-400 truncate mt-0.5">
+                        {isDocument ? `Your documents · ${source.document.corpus}` : source.url}
+                    </span>
+                    {source.snippet && (
+                        <span className="block text-xs text-slate-600 dark:text-slate-300 mt-2 leading-relaxed">{source.snippet}</span>
+                    )}
+                </span>
+            )}
+        </span>
+    );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import { CheckCircle2, XCircle, HelpCircle } from 'lucide-react';
+import Citation from './Citation';
+
+const STATUS = {
+    supported: { label: 'Supported', icon: CheckCircle2, className: 'text-emerald-600 dark:text-emerald-400' },
+    contradicted: { label: 'Contradicted', icon: XCircle, className: 'text-red-600 dark:text-red-400' },
+    unsupported: { label: 'Unsupported', icon: HelpCircle, className: 'text-amber-600 dark:text-amber-400' }
+};
+
+// Fact-check results for the report, one row per claim with its backing sources
+export default function ClaimTable({ claims, sources }) {
+    if (!claims || claims.length === 0) return null;
+
+    return (
+        <div className="glass-card p-6 mt-8">
+            <h2 className="text-lg font-semibold mb-4">Fact Check</h2>
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-left text-xs uppercase tracking-wider text-slate-500 dark:text-slate-400">
+                        <th className="pb-2 pr-4 font-medium">Claim</th>
+                        <th className="pb-2 pr-4 font-medium">Status</th>
+                        <th className="pb-2 font-medium">Sources</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {claims.map((claim, i) => {
+                        const status = STATUS[claim.status] || STATUS.unsupported;
+                        const Icon = status.icon;
+                        return (
+                            <tr key={i} className="border-t border-slate-200 dark:border-slate-700 align-top">
+                                <td className="py-2 pr-4">
+                                    <span className={claim.action === 'removed' ? 'line-through text-slate-400' : 'text-slate-700 dark:text-slate-300'}>
+                                        {claim.claim}
+                                    </span>
+                                    {claim.evidence && (
+                                        <span className="block text-xs text-slate-500 dark:text-slate-400 mt-1 italic">“{claim.evidence}”</span>
+                                    )}
+                                </td>
+                                <td className={`py-2 pr-4 whitespace-nowrap ${status.className}`}>
+                                    <span className="flex items-center gap-1">
+                                        <Icon className="w-4 h-4" />
+                                        {status.label}
+                                    </span>
+                                    {claim.action !== 'kept' && (
+                                        <span className="block text-xs text-slate-400">{claim.action === 'removed' ? 'removed from report' : 'flagged in report'}</span>
+                                    )}
+                                </td>
+                                <td className="py-2 whitespace-nowrap">
+                                    {claim.source_ids.map(id => (
+                                        <Citation key={id} id={id} source={sources.find(s => s.id === id)} />
+                                    ))}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { HelpCircle, Loader2, ArrowRight } from 'lucide-react';
+
+// Questions the planner asks about a vague topic; blank answers are skipped
+export default function ClarificationForm({ questions, onSubmit }) {
+    const [answers, setAnswers] = useState(() => questions.map(() => ''));
+    const [sending, setSending] = useState(false);
+
+    const submit = async (values) => {
+        setSending(true);
+        await onSubmit(values);
+        setSending(false);
+    };
+
+    return (
+        <form
+            onSubmit={(e) => { e.preventDefault(); submit(answers); }}
+            className="mt-4 glass-card p-6 border-l-2 border-amber-400 space-y-4"
+        >
+            <div className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wider text-amber-600 dark:text-amber-400">
+                <HelpCircle className="w-4 h-4" />
+                <span>A few questions before planning</span>
+            </div>
+
+            {questions.map((question, i) => (
+                <label key={i} className="block text-sm text-slate-700 dark:text-slate-300">
+                    {question}
+                    <input
+                        type="text"
+                        value={answers[i]}
+                        onChange={(e) => setAnswers(prev => prev.map((a, j) => (j === i ? e.target.value : a)))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm text-slate-700 outline-none
+                                   dark:bg-slate-800 dark:border-slate-700 dark:text-slate-200"
+                        autoFocus={i === 0}
+                    />
+                </label>
+            ))}
+
+            <div className="flex items-center justify-end gap-3">
+                <button
+                    type="button"
+                    disabled={sending}
+                    onClick={() => submit([])}
+                    className="text-sm text-slate-500 hover:text-slate-900 dark:text-slate-400 dark:hover:text-white transition-colors"
+                >
+                    Skip
+                </button>
+                <button
+                    type="submit"
+                    disabled={sending}
+                    className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm disabled:opacity-50"
+                >
+                    {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <ArrowRight className="w-4 h-4" />}
+                    Start planning
+                </button>
+            </div>
+        </form>
+    );
+}
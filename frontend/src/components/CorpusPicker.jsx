@@ -0,0 +1,134 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BookOpen, Upload, Loader2, X } from 'lucide-react';
+
+const API = `${import.meta.env.VITE_API_URL || ''}/api/v1/corpora`;
+const ACCEPT = '.pdf,.md,.markdown,.html,.htm,.txt';
+
+// Attach a local document corpus to the next research job, uploading files into it
+export default function CorpusPicker({ value, onChange }) {
+    const [corpora, setCorpora] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [newName, setNewName] = useState('');
+    const [uploading, setUploading] = useState(null);
+    const [error, setError] = useState(null);
+    const fileRef = useRef(null);
+
+    const loadCorpora = async () => {
+        try {
+            const res = await fetch(API);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load documents');
+            setCorpora(data.corpora);
+        } catch (err) {
+            console.error(err);
+            setError(err.message);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen) loadCorpora();
+    }, [isOpen]);
+
+    const target = value || newName.trim();
+
+    const uploadFiles = async (files) => {
+        if (!target) {
+            setError('Pick a collection or name a new one first');
+            return;
+        }
+        setError(null);
+        try {
+            for (const file of files) {
+                setUploading(file.name);
+                const res = await fetch(`${API}/${encodeURIComponent(target)}/documents?filename=${encodeURIComponent(file.name)}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                    body: file,
+                });
+                const data = await res.json();
+                if (!res.ok) throw new Error(`${file.name}: ${data.error}`);
+            }
+            onChange(target);
+            setNewName('');
+            await loadCorpora();
+        } catch (err) {
+            console.error(err);
+            setError(err.message);
+        } finally {
+            setUploading(null);
+            if (fileRef.current) fileRef.current.value = '';
+        }
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                type="button"
+                onClick={() => setIsOpen(true)}
+                className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-slate-50 border border-slate-200 text-sm text-slate-600
+                           hover:bg-indigo-50 hover:border-indigo-200 hover:text-indigo-700 transition-all duration-300"
+            >
+                <BookOpen className="w-4 h-4" />
+                {value ? `Documents: ${value}` : 'Add your documents'}
+            </button>
+        );
+    }
+
+    return (
+        <div className="glass-card p-4 max-w-2xl mx-auto text-left space-y-3">
+            <div className="flex items-center justify-between">
+                <p className="flex items-center gap-2 text-sm font-medium text-slate-900">
+                    <BookOpen className="w-4 h-4 text-indigo-500" />
+                    Research your documents too
+                </p>
+                <button type="button" onClick={() => setIsOpen(false)} className="text-slate-400 hover:text-slate-600">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    value={value || ''}
+                    onChange={(e) => onChange(e.target.value || null)}
+                    className="px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm text-slate-700"
+                >
+                    <option value="">Web only</option>
+                    {corpora.map(c => (
+                        <option key={c.corpus_id} value={c.corpus_id}>
+                            {c.corpus_id} ({c.documents.length} files)
+                        </option>
+                    ))}
+                </select>
+                {!value && (
+                    <input
+                        type="text"
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value.replace(/[^\w-]/g, '-'))}
+                        placeholder="or new collection name"
+                        className="flex-1 min-w-40 px-3 py-2 rounded-lg border border-slate-200 text-sm text-slate-700 outline-none"
+                    />
+                )}
+                <input
+                    ref={fileRef}
+                    type="file"
+                    multiple
+                    accept={ACCEPT}
+                    onChange={(e) => uploadFiles([...e.target.files])}
+                    className="hidden"
+                />
+                <button
+                    type="button"
+                    disabled={Boolean(uploading)}
+                    onClick={() => fileRef.current?.click()}
+                    className="inline-flex items-center gap-2 px-3 py-2 rounded-lg bg-indigo-600 text-white text-sm disabled:opacity-50"
+                >
+                    {uploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+                    {uploading ? `Uploading ${uploading}` : 'Upload files'}
+                </button>
+            </div>
+
+            <p className="text-xs text-slate-500">PDF, Markdown, HTML or text. Citations point to the file and page or section.</p>
+            {error && <p className="text-xs text-red-500">{error}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,205 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, Search, Clock, CheckCircle2, AlertCircle, Loader2, FileText, ChevronLeft, ChevronRight } from 'lucide-react';
+
+const PAGE_SIZE = 10;
+
+const STATUS_OPTIONS = [
+    { value: '', label: 'All statuses' },
+    { value: 'completed', label: 'Completed' },
+    { value: 'failed', label: 'Failed' },
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'interrupted', label: 'Interrupted' },
+    { value: 'queued,awaiting_answers,planning,awaiting_approval,executing,verifying,writing,paused', label: 'In progress' },
+];
+
+export default function History({ onOpen, onBack }) {
+    const [jobs, setJobs] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(0);
+    const [search, setSearch] = useState('');
+    const [status, setStatus] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Reset to the first page whenever a filter changes
+    useEffect(() => {
+        setPage(0);
+    }, [search, status, from, to]);
+
+    useEffect(() => {
+        const params = new URLSearchParams({ limit: PAGE_SIZE, offset: page * PAGE_SIZE });
+        if (search.trim()) params.set('q', search.trim());
+        if (status) params.set('status', status);
+        if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+        if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+
+        const controller = new AbortController();
+        // Debounce so typing in the search box doesn't fire a request per key
+        const timer = setTimeout(async () => {
+            setIsLoading(true);
+            try {
+                const res = await fetch(`${import.meta.env.VITE_API_URL || ''}/api/v1/jobs?${params}`, { signal: controller.signal });
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load history');
+                setJobs(data.jobs);
+                setTotal(data.total);
+                setError(null);
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    console.error(err);
+                    setError(err.message);
+                }
+            } finally {
+                setIsLoading(false);
+            }
+        }, 250);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [search, status, from, to, page]);
+
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+    const getStatusIcon = (jobStatus) => {
+        switch (jobStatus) {
+            case 'completed':
+                return <CheckCircle2 className="w-4 h-4 text-emerald-500" />;
+            case 'failed':
+            case 'cancelled':
+            case 'interrupted':
+                return <AlertCircle className="w-4 h-4 text-red-500" />;
+            default:
+                return <Loader2 className="w-4 h-4 text-indigo-500 animate-spin" />;
+        }
+    };
+
+    return (
+        <div className="min-h-screen">
+            <header className="sticky top-0 z-50 border-b border-slate-200 bg-white/80 backdrop-blur-xl dark:bg-slate-900/80 dark:border-slate-700">
+                <div className="max-w-6xl mx-auto px-6 h-16 flex items-center justify-between">
+                    <button
+                        onClick={onBack}
+                        className="flex items-center gap-2 text-slate-600 hover:text-slate-900 dark:text-slate-400 dark:hover:text-white transition-colors"
+                    >
+                        <ArrowLeft className="w-4 h-4" />
+                        <span>New Research</span>
+                    </button>
+                    <span className="text-sm text-slate-500 dark:text-slate-400">{total} research sessions</span>
+                </div>
+            </header>
+
+            <main className="max-w-4xl mx-auto px-6 py-12">
+                <div className="mb-8 flex items-center gap-4">
+                    <div className="w-12 h-12 rounded-xl bg-purple-50 dark:bg-purple-900/30
+                                    border border-purple-200 dark:border-purple-700 flex items-center justify-center">
+                        <Clock className="w-6 h-6 text-purple-600 dark:text-purple-400" />
+                    </div>
+                    <div>
+                        <h1 className="text-2xl font-bold">Research History</h1>
+                        <p className="text-sm text-slate-500 dark:text-slate-400">Reopen any previous report</p>
+                    </div>
+                </div>
+
+                {/* Filters */}
+                <div className="glass-card p-4 mb-6 grid md:grid-cols-4 gap-3">
+                    <div className="md:col-span-2 flex items-center gap-2">
+                        <Search className="w-4 h-4 text-slate-400" />
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder="Search topics..."
+                            className="flex-1 bg-transparent py-2 text-sm text-slate-900 dark:text-slate-100 placeholder-slate-400 outline-none"
+                        />
+                    </div>
+                    <select
+                        value={status}
+                        onChange={(e) => setStatus(e.target.value)}
+                        className="bg-transparent py-2 text-sm text-slate-700 dark:text-slate-300 outline-none"
+                    >
+                        {STATUS_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <div className="flex items-center gap-2 text-sm text-slate-500">
+                        <input
+                            type="date"
+                            value={from}
+                            onChange={(e) => setFrom(e.target.value)}
+                            className="bg-transparent outline-none w-full"
+                            aria-label="From date"
+                        />
+                        <span>–</span>
+                        <input
+                            type="date"
+                            value={to}
+                            onChange={(e) => setTo(e.target.value)}
+                            className="bg-transparent outline-none w-full"
+                            aria-label="To date"
+                        />
+                    </div>
+                </div>
+
+                {/* Results */}
+                {error && (
+                    <div className="glass-card p-4 mb-4 text-sm text-red-600 dark:text-red-400">{error}</div>
+                )}
+                {isLoading && jobs.length === 0 ? (
+                    <div className="flex justify-center py-16">
+                        <Loader2 className="w-8 h-8 text-indigo-500 animate-spin" />
+                    </div>
+                ) : jobs.length === 0 ? (
+                    <p className="text-center py-16 text-slate-500 dark:text-slate-400">No research sessions found.</p>
+                ) : (
+                    <div className="space-y-3">
+                        {jobs.map(job => (
+                            <button
+                                key={job.job_id}
+                                onClick={() => onOpen(job.job_id)}
+                                className="w-full glass-card-hover p-5 text-left flex items-center gap-4 group"
+                            >
+                                {getStatusIcon(job.status)}
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-medium text-slate-900 dark:text-slate-100 truncate">{job.topic}</p>
+                                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                                        {new Date(job.created_at).toLocaleString()} · <span className="capitalize">{job.status}</span>
+                                    </p>
+                                </div>
+                                {job.has_report && (
+                                    <FileText className="w-4 h-4 text-slate-400 group-hover:text-indigo-500 transition-colors" />
+                                )}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {/* Pagination */}
+                {total > PAGE_SIZE && (
+                    <div className="flex items-center justify-center gap-4 mt-8 text-sm text-slate-500 dark:text-slate-400">
+                        <button
+                            onClick={() => setPage(p => p - 1)}
+                            disabled={page === 0}
+                            className="p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-30"
+                            aria-label="Previous page"
+                        >
+                            <ChevronLeft className="w-4 h-4" />
+                        </button>
+                        <span>Page {page + 1} of {pageCount}</span>
+                        <button
+                            onClick={() => setPage(p => p + 1)}
+                            disabled={page + 1 >= pageCount}
+                            className="p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-30"
+                            aria-label="Next page"
+                        >
+                            <ChevronRight className="w-4 h-4" />
+                        </button>
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
@@ -1,12 +1,27 @@
 import React, { useEffect, useState, useRef } from 'react';
-import { ArrowLeft, Terminal, CheckCircle2, AlertCircle, Loader2, Sparkles, Clock, Zap, FileText, Download, Share2 } from 'lucide-react';
+import { ArrowLeft, Terminal, CheckCircle2, AlertCircle, Loader2, Sparkles, Clock, Zap, FileText, Download, Share2, Pause, Play, XCircle, HelpCircle, ListChecks } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import Timeline from './Timeline';
+import Citation from './Citation';
+import ClaimTable from './ClaimTable';
+import ClarificationForm from './ClarificationForm';
+import PlanEditor from './PlanEditor';
 
-export default function MissionControl({ jobId, onReset }) {
+// Turn inline [n] citations into links the markdown renderer can hand to <Citation>
+const linkCitations = (markdown) => markdown.replace(/\[(\d+)\](?!\()/g, '[[$1]](#cite-$1)');
+
+export default function MissionControl({ jobId, onReset, onViewHistory }) {
     const [status, setStatus] = useState('connecting');
     const [logs, setLogs] = useState([]);
     const [report, setReport] = useState(null);
+    const [sources, setSources] = useState([]);
+    const [claims, setClaims] = useState([]);
+    const [reportInfo, setReportInfo] = useState(null);
+    const [draft, setDraft] = useState('');
+    const [usage, setUsage] = useState(null);
+    const [pauseRequested, setPauseRequested] = useState(false);
+    const [questions, setQuestions] = useState([]);
+    const [planReview, setPlanReview] = useState(null);
     const logEndRef = useRef(null);
 
     // Download report as markdown file
@@ -23,6 +38,61 @@ export default function MissionControl({ jobId, onReset }) {
         URL.revokeObjectURL(url);
     };
 
+    // Cancel / pause / resume the job on the backend
+    const sendAction = async (action) => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_API_URL || ''}/api/v1/jobs/${jobId}/${action}`, { method: 'POST' });
+            if (!res.ok) {
+                const data = await res.json();
+                console.error(`Failed to ${action} job:`, data.error);
+                return;
+            }
+            if (action === 'pause') setPauseRequested(true);
+            if (action === 'resume') setPauseRequested(false);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    // Answer the planner's clarifying questions; an empty list skips them
+    const sendAnswers = async (answers) => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_API_URL || ''}/api/v1/jobs/${jobId}/answers`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ answers }),
+            });
+            if (!res.ok) {
+                const data = await res.json();
+                console.error('Failed to send answers:', data.error);
+            }
+            setQuestions([]);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    // Approve the reviewed plan; returns the validation errors when the edits are rejected
+    const approvePlan = async (plan) => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_API_URL || ''}/api/v1/jobs/${jobId}/plan`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(plan),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.error('Failed to approve plan:', data.error);
+                return data.errors || [data.error];
+            }
+            setPlanReview(null);
+            return [];
+        } catch (err) {
+            console.error(err);
+            return [err.message];
+        }
+    };
+
     // Download report as PDF (using browser print)
     const downloadPDF = () => {
         window.print();
@@ -43,11 +113,40 @@ export default function MissionControl({ jobId, onReset }) {
         eventSource.addEventListener('status', (e) => {
             const data = JSON.parse(e.data);
             setStatus(data.status);
+            if (data.status !== 'awaiting_answers') setQuestions([]);
+            if (data.status !== 'awaiting_approval') setPlanReview(null);
+        });
+
+        eventSource.addEventListener('plan_review', (e) => {
+            setPlanReview(JSON.parse(e.data));
+        });
+
+        eventSource.addEventListener('clarification_needed', (e) => {
+            const data = JSON.parse(e.data);
+            setQuestions(data.questions);
+        });
+
+        eventSource.addEventListener('usage', (e) => {
+            const data = JSON.parse(e.data);
+            setUsage(data.summary.total);
+        });
+
+        // Report text streamed while it is being written; a reset carries the draft to keep
+        eventSource.addEventListener('report_chunk', (e) => {
+            const data = JSON.parse(e.data);
+            if (data.reset) {
+                setDraft(data.draft || '');
+            } else {
+                setDraft((prev) => prev + data.delta);
+            }
         });
 
         eventSource.addEventListener('result', (e) => {
             const data = JSON.parse(e.data);
             setReport(data.report);
+            setSources(data.sources || []);
+            setClaims(data.claims || []);
+            setReportInfo(data.report_info || null);
             setStatus('completed');
             eventSource.close();
         });
@@ -65,16 +164,22 @@ export default function MissionControl({ jobId, onReset }) {
 
     useEffect(() => {
         logEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [logs]);
+    }, [logs, draft]);
 
     const getStatusBadge = () => {
         const configs = {
             connecting: { class: 'badge-active', label: 'Connecting', icon: <Loader2 className="w-3 h-3 animate-spin" /> },
+            awaiting_answers: { class: 'badge-warning', label: 'Needs Input', icon: <HelpCircle className="w-3 h-3" /> },
             planning: { class: 'badge-active', label: 'Planning', icon: <Sparkles className="w-3 h-3" /> },
+            awaiting_approval: { class: 'badge-warning', label: 'Review Plan', icon: <ListChecks className="w-3 h-3" /> },
             executing: { class: 'badge-active', label: 'Executing', icon: <Zap className="w-3 h-3" /> },
             verifying: { class: 'badge-warning', label: 'Verifying', icon: <Clock className="w-3 h-3" /> },
+            writing: { class: 'badge-active', label: 'Writing', icon: <FileText className="w-3 h-3" /> },
             completed: { class: 'badge-success', label: 'Complete', icon: <CheckCircle2 className="w-3 h-3" /> },
+            paused: { class: 'badge-warning', label: 'Paused', icon: <Pause className="w-3 h-3" /> },
             failed: { class: 'badge-error', label: 'Failed', icon: <AlertCircle className="w-3 h-3" /> },
+            cancelled: { class: 'badge-error', label: 'Cancelled', icon: <XCircle className="w-3 h-3" /> },
+            interrupted: { class: 'badge-error', label: 'Interrupted', icon: <AlertCircle className="w-3 h-3" /> },
             connection_error: { class: 'badge-error', label: 'Connection Error', icon: <AlertCircle className="w-3 h-3" /> },
         };
         const config = configs[status] || configs.connecting;
@@ -86,6 +191,33 @@ export default function MissionControl({ jobId, onReset }) {
         );
     };
 
+    const markdownComponents = {
+        a: ({ href, children }) => {
+            if (href?.startsWith('#cite-')) {
+                const id = Number(href.slice('#cite-'.length));
+                return <Citation id={id} source={sources.find(s => s.id === id)} />;
+            }
+            return <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>;
+        }
+    };
+
+    const isFinished = ['failed', 'cancelled', 'interrupted', 'connection_error'].includes(status);
+
+    // The backend decides whether the published text passed review; open claims explain why not
+    const openClaims = claims.filter(c => c.status !== 'supported' && c.action !== 'removed').length;
+    const verifiedBadge = reportInfo?.verified
+        ? { class: 'badge-success', label: 'Verified', icon: <CheckCircle2 className="w-3 h-3" /> }
+        : openClaims > 0
+            ? { class: 'badge-warning', label: `${openClaims} unverified claim${openClaims === 1 ? '' : 's'}`, icon: <AlertCircle className="w-3 h-3" /> }
+            : { class: 'badge-warning', label: 'Unverified', icon: <AlertCircle className="w-3 h-3" /> };
+    const reportDetails = [
+        'Generated by Nexus AI',
+        reportInfo?.stage === 'revision' && 'revised after review',
+        reportInfo?.score != null && `score ${reportInfo.score}/100`,
+        reportInfo?.stopped_by ? `partial report: ${reportInfo.stopped_by}`
+            : reportInfo && !reportInfo.research_passed && 'research did not pass verification'
+    ].filter(Boolean).join(' · ');
+
     // Completed Report View
     if (status === 'completed' && report) {
         return (
@@ -129,21 +261,23 @@ export default function MissionControl({ jobId, onReset }) {
                             </div>
                             <div>
                                 <h1 className="text-2xl font-bold">Research Report</h1>
-                                <p className="text-sm text-slate-500 dark:text-slate-400">Generated by Nexus AI</p>
+                                <p className="text-sm text-slate-500 dark:text-slate-400">{reportDetails}</p>
                             </div>
                         </div>
-                        <span className="badge-success">
-                            <CheckCircle2 className="w-3 h-3" />
-                            Verified
+                        <span className={verifiedBadge.class}>
+                            {verifiedBadge.icon}
+                            {verifiedBadge.label}
                         </span>
                     </div>
 
                     <div className="glass-card p-8 md:p-12 print:shadow-none print:border-0 print:p-0">
                         <div className="report-container">
-                            <ReactMarkdown>{report}</ReactMarkdown>
+                            <ReactMarkdown components={markdownComponents}>{linkCitations(report)}</ReactMarkdown>
                         </div>
                     </div>
 
+                    <ClaimTable claims={claims} sources={sources} />
+
                     {/* Action Cards - Hide when printing */}
                     <div className="grid md:grid-cols-2 gap-4 mt-8 print-hide">
                         <button
@@ -161,7 +295,10 @@ export default function MissionControl({ jobId, onReset }) {
                                 </div>
                             </div>
                         </button>
-                        <button className="glass-card-hover p-6 text-left group">
+                        <button
+                            onClick={onViewHistory}
+                            className="glass-card-hover p-6 text-left group"
+                        >
                             <div className="flex items-center gap-4">
                                 <div className="w-10 h-10 rounded-lg bg-purple-50 flex items-center justify-center 
                                                 group-hover:bg-purple-100 transition-colors">
@@ -197,6 +334,14 @@ export default function MissionControl({ jobId, onReset }) {
                     </div>
                 </div>
                 <div className="flex items-center gap-3">
+                    {usage && (
+                        <span
+                            className="text-xs font-mono text-slate-400 dark:text-slate-500"
+                            title={`${usage.calls} LLM calls · ${usage.prompt_tokens} prompt / ${usage.completion_tokens} completion tokens`}
+                        >
+                            {((usage.prompt_tokens + usage.completion_tokens) / 1000).toFixed(1)}k tokens · ${usage.cost_usd.toFixed(4)}
+                        </span>
+                    )}
                     {getStatusBadge()}
                 </div>
             </header>
@@ -253,6 +398,30 @@ export default function MissionControl({ jobId, onReset }) {
                                 </div>
                             );
                         })}
+                        {status === 'awaiting_answers' && questions.length > 0 && (
+                            <ClarificationForm key={questions.join('\n')} questions={questions} onSubmit={sendAnswers} />
+                        )}
+                        {status === 'awaiting_approval' && planReview && (
+                            <PlanEditor
+                                key={JSON.stringify(planReview.plan.steps.map(s => s.step_id))}
+                                plan={planReview.plan}
+                                tools={planReview.tools}
+                                timeoutSeconds={planReview.timeout_seconds}
+                                onApprove={approvePlan}
+                            />
+                        )}
+                        {draft && (
+                            <div className="mt-4 glass-card p-6 border-l-2 border-emerald-400">
+                                <div className="flex items-center gap-2 mb-4 text-xs font-semibold uppercase tracking-wider text-emerald-600 dark:text-emerald-400">
+                                    <FileText className="w-4 h-4" />
+                                    <span>Drafting report</span>
+                                    <Loader2 className="w-3 h-3 animate-spin" />
+                                </div>
+                                <div className="report-container">
+                                    <ReactMarkdown>{draft}</ReactMarkdown>
+                                </div>
+                            </div>
+                        )}
                         <div ref={logEndRef} />
                     </div>
 
@@ -260,14 +429,45 @@ export default function MissionControl({ jobId, onReset }) {
                     <div className="h-12 border-t border-slate-200 dark:border-slate-800 bg-slate-50/80 dark:bg-slate-900/80 backdrop-blur-sm flex items-center justify-between px-6">
                         <div className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
                             <Terminal className="w-4 h-4" />
-                            <span className="animate-pulse">Agent processing...</span>
+                            {isFinished ? (
+                                <span>Agent stopped</span>
+                            ) : status === 'paused' ? (
+                                <span>Agent paused</span>
+                            ) : status === 'awaiting_answers' ? (
+                                <span>Waiting for your answers</span>
+                            ) : status === 'awaiting_approval' ? (
+                                <span>Waiting for plan approval</span>
+                            ) : (
+                                <span className="animate-pulse">{pauseRequested ? 'Pausing after current step...' : 'Agent processing...'}</span>
+                            )}
                         </div>
-                        <button
-                            onClick={onReset}
-                            className="text-sm text-slate-500 hover:text-red-500 dark:text-slate-400 dark:hover:text-red-400 transition-colors"
-                        >
-                            Cancel
-                        </button>
+                        {isFinished ? (
+                            <button
+                                onClick={onReset}
+                                className="text-sm text-slate-500 hover:text-slate-900 dark:text-slate-400 dark:hover:text-white transition-colors"
+                            >
+                                New Research
+                            </button>
+                        ) : (
+                            <div className="flex items-center gap-4">
+                                <button
+                                    onClick={() => sendAction(pauseRequested || status === 'paused' ? 'resume' : 'pause')}
+                                    className="text-sm text-slate-500 hover:text-amber-500 dark:text-slate-400 dark:hover:text-amber-400 transition-colors flex items-center gap-1"
+                                >
+                                    {pauseRequested || status === 'paused' ? (
+                                        <><Play className="w-3 h-3" /> Resume</>
+                                    ) : (
+                                        <><Pause className="w-3 h-3" /> Pause</>
+                                    )}
+                                </button>
+                                <button
+                                    onClick={() => sendAction('cancel')}
+                                    className="text-sm text-slate-500 hover:text-red-500 dark:text-slate-400 dark:hover:text-red-400 transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        )}
                     </div>
                 </main>
             </div>
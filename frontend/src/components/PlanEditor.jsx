@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { ListChecks, ArrowUp, ArrowDown, Trash2, Plus, Loader2, Check } from 'lucide-react';
+
+const inputClass = 'w-full px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm text-slate-700 outline-none dark:bg-slate-800 dark:border-slate-700 dark:text-slate-200';
+
+// Editable copy of a proposed plan: reorder, remove, add steps and change their tool or params
+export default function PlanEditor({ plan, tools, timeoutSeconds, onApprove }) {
+    const [steps, setSteps] = useState(() => plan.steps.map(({ step_id, description, tool, params, dependencies }) =>
+        ({ step_id, description, tool, params: { ...params }, dependencies: [...dependencies] })));
+    const [errors, setErrors] = useState([]);
+    const [sending, setSending] = useState(false);
+
+    const toolSpec = (name) => tools.find(t => t.name === name);
+
+    const updateStep = (index, changes) => {
+        setSteps(prev => prev.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+    };
+
+    // Keep the params the new tool also takes
+    const changeTool = (index, tool) => {
+        const spec = toolSpec(tool);
+        const params = Object.fromEntries(Object.entries(steps[index].params).filter(([key]) => spec?.params[key]));
+        updateStep(index, { tool, params });
+    };
+
+    const changeParam = (index, key, type, raw) => {
+        const value = type === 'number' && raw !== '' ? Number(raw) : raw;
+        updateStep(index, { params: { ...steps[index].params, [key]: value } });
+    };
+
+    const move = (index, offset) => {
+        setSteps(prev => {
+            const next = [...prev];
+            const [step] = next.splice(index, 1);
+            next.splice(index + offset, 0, step);
+            return next;
+        });
+    };
+
+    // Steps that depended on a removed step no longer wait for it
+    const remove = (index) => {
+        const removed = steps[index].step_id;
+        setSteps(prev => prev
+            .filter((_, i) => i !== index)
+            .map(step => ({ ...step, dependencies: step.dependencies.filter(dep => dep !== removed) })));
+    };
+
+    const add = () => {
+        const next = Math.max(0, ...steps.map(s => Number(s.step_id.match(/\d+$/)?.[0]) || 0)) + 1;
+        setSteps(prev => [...prev, { step_id: `step_${next}`, description: '', tool: 'web_search', params: {}, dependencies: [] }]);
+    };
+
+    const approve = async () => {
+        setSending(true);
+        const problems = await onApprove({ reasoning: plan.reasoning, steps });
+        setErrors(problems || []);
+        setSending(false);
+    };
+
+    return (
+        <div className="mt-4 glass-card p-6 border-l-2 border-indigo-400 space-y-4">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wider text-indigo-600 dark:text-indigo-400">
+                    <ListChecks className="w-4 h-4" />
+                    <span>Review the plan</span>
+                </div>
+                {timeoutSeconds && (
+                    <span className="text-xs text-slate-500 dark:text-slate-400">Runs as proposed after {timeoutSeconds}s without review</span>
+                )}
+            </div>
+
+            {plan.reasoning && <p className="text-sm text-slate-500 dark:text-slate-400">{plan.reasoning}</p>}
+
+            <ol className="space-y-3">
+                {steps.map((step, i) => {
+                    const spec = toolSpec(step.tool);
+                    return (
+                        <li key={step.step_id} className="p-3 rounded-lg border border-slate-200 dark:border-slate-700 space-y-2">
+                            <div className="flex items-center gap-2">
+                                <span className="text-xs font-mono text-slate-400 shrink-0">{step.step_id}</span>
+                                <input
+                                    type="text"
+                                    value={step.description}
+                                    onChange={(e) => updateStep(i, { description: e.target.value })}
+                                    placeholder="What this step finds out"
+                                    className={inputClass}
+                                />
+                                <button type="button" disabled={i === 0} onClick={() => move(i, -1)} className="text-slate-400 hover:text-slate-700 disabled:opacity-30">
+                                    <ArrowUp className="w-4 h-4" />
+                                </button>
+                                <button type="button" disabled={i === steps.length - 1} onClick={() => move(i, 1)} className="text-slate-400 hover:text-slate-700 disabled:opacity-30">
+                                    <ArrowDown className="w-4 h-4" />
+                                </button>
+                                <button type="button" onClick={() => remove(i)} className="text-slate-400 hover:text-red-500">
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+
+                            <div className="flex flex-wrap items-center gap-2">
+                                <select
+                                    value={step.tool}
+                                    onChange={(e) => changeTool(i, e.target.value)}
+                                    className="px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm text-slate-700 dark:bg-slate-800 dark:border-slate-700 dark:text-slate-200"
+                                >
+                                    {tools.map(t => <option key={t.name} value={t.name}>{t.name}</option>)}
+                                </select>
+                                {Object.entries(spec?.params || {}).map(([key, param]) => (
+                                    param.type === 'boolean' ? (
+                                        <label key={key} className="flex items-center gap-1 text-xs text-slate-500">
+                                            <input
+                                                type="checkbox"
+                                                checked={Boolean(step.params[key])}
+                                                onChange={(e) => changeParam(i, key, param.type, e.target.checked)}
+                                            />
+                                            {key}
+                                        </label>
+                                    ) : (
+                                        <input
+                                            key={key}
+                                            type={param.type === 'number' ? 'number' : 'text'}
+                                            value={step.params[key] ?? ''}
+                                            onChange={(e) => changeParam(i, key, param.type, e.target.value)}
+                                            placeholder={`${key}${param.required ? '' : ' (optional)'}`}
+                                            title={param.description}
+                                            className={`flex-1 min-w-40 ${inputClass}`}
+                                        />
+                                    )
+                                ))}
+                            </div>
+
+                            {step.dependencies.length > 0 && (
+                                <p className="text-xs text-slate-400">Uses results of {step.dependencies.join(', ')}</p>
+                            )}
+                        </li>
+                    );
+                })}
+            </ol>
+
+            {errors.length > 0 && (
+                <ul className="text-xs text-red-500 space-y-1">
+                    {errors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+            )}
+
+            <div className="flex items-center justify-between">
+                <button
+                    type="button"
+                    onClick={add}
+                    className="inline-flex items-center gap-1 text-sm text-slate-500 hover:text-indigo-600 dark:text-slate-400"
+                >
+                    <Plus className="w-4 h-4" /> Add step
+                </button>
+                <button
+                    type="button"
+                    disabled={sending || steps.length === 0}
+                    onClick={approve}
+                    className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm disabled:opacity-50"
+                >
+                    {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                    Approve and run
+                </button>
+            </div>
+        </div>
+    );
+}
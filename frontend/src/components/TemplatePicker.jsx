@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { LayoutTemplate, X } from 'lucide-react';
+
+const API = `${import.meta.env.VITE_API_URL || ''}/api/v1/templates`;
+
+// Choose the report template (sections, length and tone) for the next research job
+export default function TemplatePicker({ value, onChange }) {
+    const [templates, setTemplates] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const loadTemplates = async () => {
+            try {
+                const res = await fetch(API);
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load templates');
+                setTemplates(data.templates);
+            } catch (err) {
+                console.error(err);
+                setError(err.message);
+            }
+        };
+        loadTemplates();
+    }, []);
+
+    const selected = templates.find(t => t.id === value);
+
+    if (!isOpen) {
+        return (
+            <button
+                type="button"
+                onClick={() => setIsOpen(true)}
+                className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-slate-50 border border-slate-200 text-sm text-slate-600
+                           hover:bg-indigo-50 hover:border-indigo-200 hover:text-indigo-700 transition-all duration-300"
+            >
+                <LayoutTemplate className="w-4 h-4" />
+                {`Report: ${selected?.name || value}`}
+            </button>
+        );
+    }
+
+    return (
+        <div className="glass-card p-4 max-w-2xl mx-auto text-left space-y-3">
+            <div className="flex items-center justify-between">
+                <p className="flex items-center gap-2 text-sm font-medium text-slate-900">
+                    <LayoutTemplate className="w-4 h-4 text-indigo-500" />
+                    Report template
+                </p>
+                <button type="button" onClick={() => setIsOpen(false)} className="text-slate-400 hover:text-slate-600">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {templates.map(t => (
+                    <button
+                        key={t.id}
+                        type="button"
+                        onClick={() => { onChange(t.id); setIsOpen(false); }}
+                        className={`p-3 rounded-lg border text-left transition-colors ${t.id === value
+                            ? 'border-indigo-400 bg-indigo-50'
+                            : 'border-slate-200 bg-white hover:border-indigo-200'}`}
+                    >
+                        <span className="block text-sm font-medium text-slate-900">
+                            {t.name}
+                            {t.custom && <span className="ml-2 text-xs font-normal text-indigo-500">custom</span>}
+                        </span>
+                        <span className="block text-xs text-slate-500 mt-1">{t.description}</span>
+                        <span className="block text-xs text-slate-400 mt-1">
+                            ~{t.words} words · {t.sections.map(s => s.title).join(', ')}
+                        </span>
+                    </button>
+                ))}
+            </div>
+
+            {error && <p className="text-xs text-red-500">{error}</p>}
+        </div>
+    );
+}
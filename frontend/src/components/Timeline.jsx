@@ -1,5 +1,5 @@
 import React from 'react';
-import { Circle, CheckCircle2, Loader2, AlertCircle, Sparkles, Search, Globe, Shield } from 'lucide-react';
+import { Circle, CheckCircle2, Loader2, AlertCircle, Sparkles, Search, Globe, Shield, FileText } from 'lucide-react';
 
 export default function Timeline({ logs, status }) {
     // Parse steps from logs
@@ -15,10 +15,11 @@ export default function Timeline({ logs, status }) {
             };
         });
 
-    const isPlanning = status === 'planning';
+    const isPlanning = ['planning', 'awaiting_answers', 'awaiting_approval'].includes(status);
     const isVerifying = status === 'verifying';
+    const isWriting = status === 'writing';
     const isExecuting = status === 'executing';
-    const isFailed = status === 'failed';
+    const isFailed = status === 'failed' || status === 'interrupted';
 
     const getToolIcon = (tool) => {
         switch (tool) {
@@ -26,6 +27,8 @@ export default function Timeline({ logs, status }) {
                 return <Search className="w-4 h-4" />;
             case 'scrape_url':
                 return <Globe className="w-4 h-4" />;
+            case 'search_documents':
+                return <FileText className="w-4 h-4" />;
             default:
                 return <Sparkles className="w-4 h-4" />;
         }
@@ -70,7 +73,8 @@ export default function Timeline({ logs, status }) {
                         </div>
                         <p className="text-xs text-slate-500 mt-1 ml-8">
                             {step.tool === 'web_search' ? 'Web Search' :
-                                step.tool === 'scrape_url' ? 'URL Scrape' : 'Analysis'}
+                                step.tool === 'scrape_url' ? 'URL Scrape' :
+                                    step.tool === 'search_documents' ? 'Your Documents' : 'Analysis'}
                         </p>
                     </div>
                 </div>
@@ -89,8 +93,8 @@ export default function Timeline({ logs, status }) {
                 </div>
             )}
 
-            {/* Verification Phase */}
-            {(steps.length > 0 || isVerifying) && (
+            {/* Verification Phase - grades the research, then each report draft */}
+            {(steps.length > 0 || isVerifying || isWriting) && (
                 <div className="relative flex gap-4">
                     <div className={`timeline-dot ${isVerifying ? 'timeline-dot-active ring-amber-500' :
                             status === 'completed' ? 'timeline-dot-complete' : 'timeline-dot-pending'
@@ -110,6 +114,23 @@ export default function Timeline({ logs, status }) {
                 </div>
             )}
 
+            {/* Report Phase - outline, section drafts and revision */}
+            {(isWriting || status === 'completed') && (
+                <div className="relative flex gap-4">
+                    <div className={`timeline-dot ${isWriting ? 'timeline-dot-active' : 'timeline-dot-complete'}`}>
+                        {isWriting ? (
+                            <Loader2 className="w-4 h-4 text-indigo-400 animate-spin" />
+                        ) : (
+                            <CheckCircle2 className="w-4 h-4 text-emerald-400" />
+                        )}
+                    </div>
+                    <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-white">Report</p>
+                        <p className="text-xs text-slate-500">Outlining, drafting and revising</p>
+                    </div>
+                </div>
+            )}
+
             {/* Failed State */}
             {isFailed && (
                 <div className="relative flex gap-4">